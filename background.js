@@ -1,52 +1,206 @@
 /**
  * Background Service Worker
- * Handles Gmail API communication and OTP extraction
+ * Handles mail provider communication and OTP extraction
  * Built by Avenix (https://avenix.dev)
  */
 
+import { isAuthenticated } from './services/gmail-api.js';
+
 import {
-  getAuthToken,
-  removeCachedToken,
-  isAuthenticated,
-  getRecentMessages,
-  getMessage,
-  extractMessageBody,
-  getMessageSubject
-} from './services/gmail-api.js';
+  getAccounts,
+  updateAccount,
+  connectAccount,
+  getAccountProvider,
+  getAccountToken,
+  invalidateAccountToken,
+  removeAccount
+} from './services/accounts.js';
+
+import { getProvider, listProviders } from './services/providers/index.js';
+
+import { getSettings, updateSettings, matchesSenderFilters, isSenderMuted } from './services/settings.js';
+
+import { createRequestError, isRetryableError, ERROR_CATEGORIES } from './services/request.js';
 
 import { extractOTPFromEmail } from './services/otp-extractor.js';
 
+import { AUTH_VERDICTS } from './services/mail-auth.js';
+
+import { getHistory, addToHistory, recordFill, clearHistory, FILL_MODES, FILL_OUTCOMES } from './services/history.js';
+
+import { clearProcessedIds } from './services/processed-messages.js';
+
+import { getRegistrableDomain, getSenderDomain, matchesSite } from './services/site-matcher.js';
+
 // State management (stored in chrome.storage for persistence)
 const STATE_KEY = 'avenix_otp_state';
 
+// Codes, senders and message IDs never outlive the browser session
+const SESSION_STATE_KEY = 'avenix_otp_session';
+const SESSION_FIELDS = ['pendingCodes'];
+
+const DEFAULT_STATE = {
+  isAuthenticated: false,
+  pendingCodes: [],            // Unexpired codes and links, newest first (see createPendingCode) - session only
+  waitingTabs: {},             // tabId -> time its OTP field appeared
+  burstUntil: null,            // End of the current burst polling window
+  lastError: null,             // { message, category, retryAt } of the last failed check
+  lastQueries: {},             // accountId -> search query of the last check (diagnostics)
+  lastChecked: null,
+  autoFill: true
+};
+
+// Codes are wiped after this long without user input (and on screen lock)
+const IDLE_WIPE_SECONDS = 15 * 60;
+
+// Lifetime assumed for codes whose email does not say when they expire
+const DEFAULT_CODE_TTL_MS = 10 * 60 * 1000;
+
+// Codes kept at once - enough for a few logins in the same minute
+const MAX_PENDING_CODES = 5;
+
+// Preference when several codes fit the same page
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+// Polling cadence: slow when idle, fast while a page waits for a code
+const IDLE_PERIOD_MINUTES = 5;
+const BURST_INTERVAL_MS = 5 * 1000;
+const BURST_DURATION_MS = 3 * 60 * 1000;
+
+// Tolerance between Gmail's receive time and the local clock
+const CLOCK_SKEW_MS = 15 * 1000;
+
+// Minimum wait before another silent refresh for an account that needs re-auth
+const REAUTH_RETRY_MS = 5 * 60 * 1000;
+
+// Wait before retrying a token refresh that failed for a transient reason
+const TOKEN_RETRY_MS = 60 * 1000;
+
+// Browser identity errors that only a new sign-in can fix
+const REAUTH_MESSAGES = /not signed in|not granted|revoked|interaction required|requires user interaction/i;
+
+// Notification asking the user to reconnect
+const REAUTH_NOTIFICATION_ID = 'avenix-reauth';
+
+// New code notifications are "avenix-code:<message id>"
+const CODE_NOTIFICATION_PREFIX = 'avenix-code:';
+
+// Page that copies to the clipboard for the service worker
+const OFFSCREEN_DOCUMENT_URL = 'offscreen/offscreen.html';
+
+// "Fill verification code here" menu; entries for single codes are "avenix-fill:<message id>"
+const CONTEXT_MENU_ID = 'avenix-fill';
+const CONTEXT_MENU_BEST_ID = 'avenix-fill:best';
+
+// Keyboard shortcut and context menu feedback: errors as a notification, success on the badge
+const COMMAND_NOTIFICATION_ID = 'avenix-command';
+const COMMAND_BADGE_MS = 3 * 1000;
+const COMMAND_ERROR_TITLES = {
+  'fill-latest-code': 'Could not fill code',
+  'copy-latest-code': 'Could not copy code',
+  'check-now': 'Could not check mail'
+};
+
+// Toolbar action (browserAction in the Firefox MV2 build)
+const action = chrome.action || chrome.browserAction;
+
+// Burst polling timer (alarms cannot fire more often than every 30s)
+let burstTimer = null;
+
+// In-flight check, shared so alarm, burst and popup never overlap
+let checkInProgress = null;
+
+// Retry after a rate limit or outage (longer waits are left to the idle alarm)
+let retryTimer = null;
+
+// Restores the badge after shortcut feedback
+let badgeTimer = null;
+
+// Context menu rebuilds, chained so removeAll/create never interleave
+let contextMenuUpdate = Promise.resolve();
+
 /**
  * Get current state from storage
+ * Preferences come from local storage, codes from session storage;
+ * expired codes are dropped on read
  */
 async function getState() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(STATE_KEY, (result) => {
-      resolve(result[STATE_KEY] || {
-        isAuthenticated: false,
-        currentCode: null,
-        currentCodeMessageId: null,  // Track which message the code came from
-        lastChecked: null,
-        autoFill: true
-      });
-    });
-  });
+  const [stored, session] = await Promise.all([
+    new Promise((resolve) => {
+      chrome.storage.local.get(STATE_KEY, (result) => resolve(result[STATE_KEY]));
+    }),
+    new Promise((resolve) => {
+      chrome.storage.session.get(SESSION_STATE_KEY, (result) => resolve(result[SESSION_STATE_KEY]));
+    })
+  ]);
+
+  const state = { ...DEFAULT_STATE, ...pickState(stored, false), ...pickState(session, true) };
+  return { ...state, pendingCodes: state.pendingCodes.filter(entry => !isCodeExpired(entry)) };
 }
 
 /**
  * Update state in storage
+ * The context menu follows every change to the pending codes
  */
 async function updateState(updates) {
-  const current = await getState();
-  const newState = { ...current, ...updates };
+  const newState = { ...(await getState()), ...updates };
+
+  if ('pendingCodes' in updates) {
+    updateContextMenu(newState.pendingCodes);
+  }
+
+  await new Promise((resolve) => {
+    chrome.storage.session.set({ [SESSION_STATE_KEY]: pickState(newState, true) }, resolve);
+  });
+
+  // Known fields only - codes stored by older versions are dropped
   return new Promise((resolve) => {
-    chrome.storage.local.set({ [STATE_KEY]: newState }, resolve);
+    chrome.storage.local.set({ [STATE_KEY]: pickState(newState, false) }, resolve);
   });
 }
 
+/**
+ * Select the session-only or the persistent state fields
+ * @param {Object} state - State (or a stored part of it)
+ * @param {boolean} session - True for SESSION_FIELDS, false for the rest
+ */
+function pickState(state = {}, session) {
+  return Object.fromEntries(Object.keys(DEFAULT_STATE)
+    .filter(key => SESSION_FIELDS.includes(key) === session && key in state)
+    .map(key => [key, state[key]]));
+}
+
+// Bumped by every wipe - a check running across one drops what it found
+let wipeCount = 0;
+
+/**
+ * Forget codes, senders and message IDs (pending codes, history, the
+ * processed message cache and the notifications showing codes)
+ */
+async function wipeSensitiveData() {
+  wipeCount++;
+  await updateState({ pendingCodes: [] });
+  await clearHistory();
+  await clearProcessedIds();
+  await clearCodeNotifications();
+}
+
+/**
+ * Wipe codes when the browser starts (notifications may outlive the
+ * session) and when the screen locks or the user goes idle
+ */
+chrome.runtime.onStartup?.addListener(() => {
+  wipeSensitiveData();
+});
+
+chrome.idle?.setDetectionInterval(IDLE_WIPE_SECONDS);
+chrome.idle?.onStateChanged.addListener((idleState) => {
+  if (idleState === 'locked' || idleState === 'idle') {
+    console.log(`[Avenix OTP] Wiping codes (${idleState})`);
+    wipeSensitiveData();
+  }
+});
+
 /**
  * Initialize extension on install
  */
@@ -54,8 +208,21 @@ chrome.runtime.onInstalled.addListener(async () => {
   console.log('[Avenix OTP] Extension installed');
 
   // Check if already authenticated
-  const authenticated = await isAuthenticated();
+  let accounts = await getAccounts();
+  if (accounts.length === 0 && await isAuthenticated()) {
+    // Profile account connected before multi-account support
+    try {
+      await connectAccount('gmail', { profile: true, interactive: false });
+    } catch (error) {
+      console.error('[Avenix OTP] Could not register profile account:', error);
+    }
+    accounts = await getAccounts();
+  }
+
+  const authenticated = accounts.length > 0;
   await updateState({ isAuthenticated: authenticated });
+  updateContextMenu((await getState()).pendingCodes);
+  await updateReauthIndicator(accounts);
 
   if (authenticated) {
     // Start checking for OTPs
@@ -82,37 +249,75 @@ async function handleMessage(message, sender) {
     case 'LOGOUT':
       return await logout();
 
+    case 'ADD_ACCOUNT':
+      return await addAccount(message.provider);
+
+    case 'REMOVE_ACCOUNT':
+      return await disconnectAccount(message.accountId);
+
+    case 'REAUTHENTICATE':
+      return await reauthenticate(message.accountId);
+
     case 'GET_STATE':
-      return await getState();
+      return {
+        ...(await getState()),
+        accounts: await getAccounts(),
+        providers: listProviders(),
+        settings: await getSettings()
+      };
 
     case 'GET_CURRENT_CODE':
       const state = await getState();
-      return { code: state.currentCode };
+      const best = await pickCodeForSite(state.pendingCodes, sender.url ? new URL(sender.url) : {});
+      return { code: best?.code || null };
 
     case 'CHECK_NOW':
       return await checkForOTP();
 
     case 'FILL_CODE':
-      return await fillCodeInActiveTab(message.code);
+      return await fillPendingCode(message);
+
+    case 'OPEN_LINK':
+      return await openPendingLink(message.id);
+
+    case 'OTP_FIELD_DETECTED':
+      return await startBurstPolling(sender.tab?.id);
 
     case 'SET_AUTO_FILL':
       await updateState({ autoFill: message.enabled });
       return { success: true };
 
+    case 'SET_SETTINGS':
+      const settings = await updateSettings(message.settings);
+      if (!settings.keepHistory) {
+        await clearHistory();
+      }
+      // Menu entries show or hide the digits (hideNotificationCode)
+      updateContextMenu((await getState()).pendingCodes);
+      return { success: true, settings };
+
+    case 'GET_HISTORY':
+      return { history: await getHistory() };
+
+    case 'CLEAR_HISTORY':
+      await clearHistory();
+      return { success: true };
+
     default:
       return { error: 'Unknown message type' };
   }
 }
 
 /**
- * Authenticate with Gmail
+ * Authenticate with Gmail (browser profile account)
  */
 async function authenticate() {
   try {
-    const token = await getAuthToken(true);
+    const account = await connectAccount('gmail', { profile: true });
     await updateState({ isAuthenticated: true });
+    await onReauthenticated();
     startOTPChecking();
-    return { success: true };
+    return { success: true, account };
   } catch (error) {
     console.error('[Avenix OTP] Authentication failed:', error);
     return { error: error.message };
@@ -120,164 +325,1256 @@ async function authenticate() {
 }
 
 /**
- * Logout and clear tokens
+ * Connect an additional mail account
+ * @param {string} providerId - Provider id ('gmail', 'outlook')
  */
-async function logout() {
+async function addAccount(providerId = 'gmail') {
   try {
-    const token = await getAuthToken(false);
-    if (token) {
-      await removeCachedToken(token);
+    const account = await connectAccount(providerId);
+    const state = await getState();
+    await updateState({ isAuthenticated: true });
+
+    if (!state.isAuthenticated) {
+      startOTPChecking();
     }
-  } catch {
-    // Ignore errors during logout
+
+    await onReauthenticated();
+    return { success: true, account };
+  } catch (error) {
+    console.error('[Avenix OTP] Adding account failed:', error);
+    return { error: error.message };
   }
+}
 
-  await updateState({
-    isAuthenticated: false,
-    currentCode: null,
-    currentCodeMessageId: null
-  });
+/**
+ * Reconnect an account whose token could not be refreshed silently
+ * @param {string} accountId - Account to reconnect (defaults to the first one needing it)
+ */
+async function reauthenticate(accountId) {
+  const accounts = await getAccounts();
+  const account = accounts.find(a => a.id === accountId) || accounts.find(a => a.needsReauth);
 
-  stopOTPChecking();
-  return { success: true };
+  if (!account) {
+    return { error: 'Unknown account' };
+  }
+
+  try {
+    await getAccountToken(account, true);
+    await updateAccount(account.id, { needsReauth: false, reauthCheckedAt: null });
+    await onReauthenticated();
+    checkForOTP();
+    return { success: true };
+  } catch (error) {
+    console.error('[Avenix OTP] Re-authentication failed:', error);
+    return { error: error.message };
+  }
 }
 
 /**
- * Start periodic OTP checking
+ * Clear the reconnect prompt and pick up logins that kept waiting meanwhile
  */
-function startOTPChecking() {
-  // Create alarm for periodic checking (every 30 seconds)
-  chrome.alarms.create('checkOTP', { periodInMinutes: 0.5 });
+async function onReauthenticated() {
+  const accounts = await getAccounts();
+  await updateReauthIndicator(accounts);
 
-  // Initial check
-  checkForOTP();
+  if (!accounts.some(a => a.needsReauth)) {
+    await resumeBurstPolling();
+  }
 }
 
 /**
- * Stop OTP checking
+ * Show or clear the "reconnect needed" badge
+ * @param {Array} accounts - Current accounts
+ * @param {boolean} notify - Also raise a notification (newly failed account)
  */
-function stopOTPChecking() {
-  chrome.alarms.clear('checkOTP');
+async function updateReauthIndicator(accounts, notify = false) {
+  const pending = accounts.filter(a => a.needsReauth);
+
+  if (pending.length === 0) {
+    action?.setBadgeText({ text: '' });
+    action?.setTitle({ title: 'OTPilot' });
+    chrome.notifications?.clear(REAUTH_NOTIFICATION_ID);
+    return;
+  }
+
+  action?.setBadgeText({ text: '!' });
+  action?.setBadgeBackgroundColor({ color: '#f59e0b' });
+  action?.setTitle({ title: `OTPilot - reconnect ${pending.map(a => a.email).join(', ')}` });
+
+  if (notify && chrome.notifications) {
+    chrome.notifications.create(REAUTH_NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'OTPilot needs you to reconnect',
+      message: `Sign-in expired for ${pending.map(a => a.email).join(', ')}. Verification codes will not arrive until you reconnect.`,
+      buttons: [{ title: 'Reconnect' }],
+      requireInteraction: true
+    });
+  }
 }
 
 /**
- * Handle alarm events
+ * Reconnect from the notification
  */
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name === 'checkOTP') {
-    await checkForOTP();
+chrome.notifications?.onClicked.addListener((notificationId) => {
+  if (notificationId === REAUTH_NOTIFICATION_ID) {
+    reauthenticate();
+  }
+});
+
+chrome.notifications?.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (notificationId === REAUTH_NOTIFICATION_ID) {
+    reauthenticate();
+  } else if (notificationId.startsWith(CODE_NOTIFICATION_PREFIX)) {
+    handleCodeNotificationButton(notificationId, buttonIndex);
   }
 });
 
 /**
- * Check Gmail for new OTP codes
+ * Announce new codes (senders muted in the settings are skipped)
+ * Codes from unverified senders only offer copying
+ * @param {Array<Object>} codes - New pending codes
+ * @param {Object} settings - Settings
  */
-async function checkForOTP() {
-  const state = await getState();
+function notifyNewCodes(codes, settings) {
+  if (!chrome.notifications) return;
 
-  if (!state.isAuthenticated) {
-    return { error: 'Not authenticated' };
+  for (const entry of codes) {
+    if (!entry.code || isSenderMuted(entry.sender, settings)) continue;
+
+    const unverified = isUnverifiedSender(entry);
+    chrome.notifications.create(CODE_NOTIFICATION_PREFIX + entry.id, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: unverified
+        ? `Unverified code from ${entry.senderDomain || 'unknown sender'}`
+        : `Verification code from ${entry.senderDomain || 'unknown sender'}`,
+      message: settings.hideNotificationCode ? 'Code hidden - use Copy or Fill' : entry.code,
+      contextMessage: entry.subject || '',
+      buttons: unverified ? [{ title: 'Copy' }] : [{ title: 'Copy' }, { title: 'Fill in this tab' }]
+    });
   }
+}
 
-  try {
-    let token;
-    try {
-      token = await getAuthToken(false);
-    } catch {
-      // Token expired, mark as unauthenticated
-      await updateState({ isAuthenticated: false });
-      return { error: 'Token expired' };
+/**
+ * Copy or fill the code of a notification
+ * @param {string} notificationId - CODE_NOTIFICATION_PREFIX + message ID
+ * @param {number} buttonIndex - 0 = Copy, 1 = Fill in this tab
+ */
+async function handleCodeNotificationButton(notificationId, buttonIndex) {
+  const id = notificationId.slice(CODE_NOTIFICATION_PREFIX.length);
+  const entry = findPendingCode(await getState(), { id });
+
+  let result;
+  if (!entry) {
+    result = { error: 'Code expired' };
+  } else if (buttonIndex === 0) {
+    result = await copyToClipboard(entry.code);
+  } else {
+    result = await fillPendingCode({ id, code: entry.code });
+  }
+
+  chrome.notifications.clear(notificationId);
+
+  if (result.error) {
+    chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: buttonIndex === 0 ? 'Could not copy code' : 'Could not fill code',
+      message: describeFillError(result)
+    });
+  }
+}
+
+/**
+ * Explain a failed fill outside the popup
+ */
+function describeFillError(result) {
+  if (result.needsConfirmation) {
+    return `This code is from ${result.senderDomain || 'an unknown sender'}, ` +
+      `but this page is ${result.site || 'another site'}. Use the popup to fill it anyway.`;
+  }
+
+  return result.error;
+}
+
+/**
+ * Keyboard shortcuts (see "commands" in the manifests)
+ */
+chrome.commands?.onCommand.addListener((command) => {
+  handleCommand(command);
+});
+
+/**
+ * Run a keyboard shortcut and report its result
+ * @param {string} command - 'fill-latest-code', 'copy-latest-code' or 'check-now'
+ */
+async function handleCommand(command) {
+  const state = await getState();
+  let result;
+
+  switch (command) {
+    case 'fill-latest-code': {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const page = tab?.id ? await getTabPage(tab.id) : {};
+      const entry = await pickCodeForPage(state.pendingCodes, page);
+
+      result = entry
+        ? await fillPendingCode({ id: entry.id, code: entry.code, target: 'focused' })
+        : { error: 'No code yet' };
+      break;
     }
 
-    // Get recent messages
-    const messages = await getRecentMessages(token, 5);
+    case 'copy-latest-code': {
+      // A blind copy must not hand over a code from a spoofed sender -
+      // those are only copied from the popup, next to the warning
+      const codes = state.pendingCodes.filter(entry => entry.code);
+      const latest = codes.find(entry => !isUnverifiedSender(entry));
 
-    if (!messages || messages.length === 0) {
-      await updateState({ lastChecked: Date.now() });
-      return { code: null };
+      result = latest ? await copyToClipboard(latest.code)
+        : { error: codes.length > 0 ? 'Sender not verified - copy the code from the popup' : 'No code yet' };
+      break;
     }
 
-    // Check each message for OTP (newest first - Gmail returns newest first)
-    // Find the newest message with an OTP
-    for (const msg of messages) {
-      const fullMessage = await getMessage(token, msg.id);
-      const subject = getMessageSubject(fullMessage.payload);
-      const body = extractMessageBody(fullMessage.payload);
+    case 'check-now':
+      result = await checkForOTP();
+      break;
+
+    default:
+      return;
+  }
 
-      const result = extractOTPFromEmail(subject, body);
+  if (result.error) {
+    reportActionError(COMMAND_ERROR_TITLES[command], result);
+    return;
+  }
 
-      if (result) {
-        const previousCode = state.currentCode;
-        const previousMessageId = state.currentCodeMessageId;
+  // New codes announce themselves - the badge shows how many arrived
+  showBadgeFeedback(command === 'check-now' ? String(result.newCodes) : 'OK');
+}
 
-        // Update state with the code
-        await updateState({
-          currentCode: result.code,
-          currentCodeMessageId: msg.id,
-          lastChecked: Date.now()
-        });
+/**
+ * Fill from the context menu into exactly the right-clicked field
+ */
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  if (String(info.menuItemId).startsWith(CONTEXT_MENU_ID)) {
+    handleContextMenuClick(info, tab);
+  }
+});
 
-        // Notify content script if it's a NEW code (different message or different code)
-        const isNewCode = msg.id !== previousMessageId || result.code !== previousCode;
-        if (isNewCode && state.autoFill) {
-          notifyContentScript(result.code);
-        }
+/**
+ * Fill the code picked in the context menu (or the best one for the page)
+ * The field may sit in a frame - the code goes to (and is matched against) that frame
+ * @param {Object} info - contextMenus.OnClickData
+ * @param {Object} tab - Tab the menu was opened in
+ */
+async function handleContextMenuClick(info, tab) {
+  const state = await getState();
+  const menuItemId = String(info.menuItemId);
+  const pageUrl = info.frameUrl || info.pageUrl;
+  let entry;
+
+  if (menuItemId === CONTEXT_MENU_ID || menuItemId === CONTEXT_MENU_BEST_ID) {
+    entry = await pickCodeForPage(state.pendingCodes, pageUrl ? new URL(pageUrl) : {});
+  } else {
+    entry = findPendingCode(state, { id: menuItemId.slice(CONTEXT_MENU_ID.length + 1) });
+  }
+
+  const result = entry
+    ? await fillPendingCode({
+      id: entry.id,
+      code: entry.code,
+      target: 'context',
+      tabId: tab?.id,
+      frameId: info.frameId
+    })
+    : { error: 'No code yet' };
+
+  if (result.error) {
+    reportActionError('Could not fill code', result);
+  } else {
+    showBadgeFeedback('OK');
+  }
+}
+
+/**
+ * Rebuild the "Fill verification code here" menu
+ * With several codes each gets an entry below "Best code for this site",
+ * named by sender and time instead of digits if notifications hide codes
+ * @param {Array<Object>} pendingCodes - Pending codes
+ */
+function updateContextMenu(pendingCodes = []) {
+  if (!chrome.contextMenus) return;
+
+  const codes = pendingCodes.filter(entry => entry.code);
+  const create = (properties) => {
+    chrome.contextMenus.create({ contexts: ['editable'], ...properties }, () => {
+      // Ignore errors (e.g. menu rebuilt while the browser shuts down)
+      void chrome.runtime.lastError;
+    });
+  };
+
+  contextMenuUpdate = contextMenuUpdate.then(() => getSettings()).then(({ hideNotificationCode }) => new Promise((resolve) => {
+    chrome.contextMenus.removeAll(() => {
+      create({ id: CONTEXT_MENU_ID, title: 'Fill verification code here' });
+
+      if (codes.length > 1) {
+        create({ id: CONTEXT_MENU_BEST_ID, parentId: CONTEXT_MENU_ID, title: 'Best code for this site' });
+        create({ id: `${CONTEXT_MENU_ID}:separator`, parentId: CONTEXT_MENU_ID, type: 'separator' });
 
-        return result;
+        for (const entry of codes) {
+          const sender = entry.senderDomain || 'unknown sender';
+          const receivedAt = new Date(entry.receivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+          create({
+            id: `${CONTEXT_MENU_ID}:${entry.id}`,
+            parentId: CONTEXT_MENU_ID,
+            title: hideNotificationCode ? `Code from ${sender} (${receivedAt})` : `${entry.code} - ${sender}`
+          });
+        }
       }
-    }
 
-    // No OTP found in any message
-    await updateState({ lastChecked: Date.now() });
-    return { code: null };
+      resolve();
+    });
+  }));
+}
 
-  } catch (error) {
-    console.error('[Avenix OTP] Error checking for OTP:', error);
+/**
+ * Report a failed shortcut or context menu action in a notification
+ * @param {string} title - Notification title
+ * @param {Object} result - { error, needsConfirmation? }
+ */
+function reportActionError(title, result) {
+  chrome.notifications?.create(COMMAND_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title,
+    message: describeFillError(result)
+  });
+}
 
-    if (error.message === 'TOKEN_EXPIRED') {
-      await updateState({ isAuthenticated: false });
-    }
+/**
+ * Show a short badge text, then restore the normal badge
+ */
+function showBadgeFeedback(text) {
+  action?.setBadgeText({ text });
+  action?.setBadgeBackgroundColor({ color: '#10b981' });
 
-    return { error: error.message };
+  clearTimeout(badgeTimer);
+  badgeTimer = setTimeout(async () => {
+    badgeTimer = null;
+    await updateReauthIndicator(await getAccounts());
+  }, COMMAND_BADGE_MS);
+}
+
+/**
+ * Close every new code notification
+ */
+async function clearCodeNotifications() {
+  if (!chrome.notifications) return;
+
+  const notifications = await new Promise(resolve => chrome.notifications.getAll(resolve));
+  for (const notificationId of Object.keys(notifications || {})) {
+    if (notificationId.startsWith(CODE_NOTIFICATION_PREFIX)) {
+      chrome.notifications.clear(notificationId);
+    }
   }
 }
 
 /**
- * Notify content script about new OTP code
+ * Copy text to the clipboard
+ * The Firefox background page can do it itself; the Chrome service worker
+ * has no DOM and asks an offscreen document
+ * @returns {Promise<Object>} { success } or { error }
  */
-async function notifyContentScript(code) {
+async function copyToClipboard(text) {
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (typeof document !== 'undefined') {
+      await navigator.clipboard.writeText(text);
+      return { success: true };
+    }
 
-    if (tab?.id) {
-      chrome.tabs.sendMessage(tab.id, {
-        type: 'OTP_FOUND',
-        code: code
-      }).catch(() => {
-        // Content script might not be loaded on this tab
+    if (!(await chrome.offscreen.hasDocument())) {
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT_URL,
+        reasons: ['CLIPBOARD'],
+        justification: 'Copy a verification code from a notification'
       });
     }
+
+    const response = await chrome.runtime.sendMessage({ type: 'OFFSCREEN_COPY', text });
+    return response?.success ? { success: true } : { error: 'Clipboard not available' };
   } catch (error) {
-    console.error('[Avenix OTP] Error notifying content script:', error);
+    return { error: error.message };
   }
 }
 
 /**
- * Fill code in active tab
+ * Disconnect one account; logs out when it was the last one
  */
-async function fillCodeInActiveTab(code) {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+async function disconnectAccount(accountId) {
+  await removeAccount(accountId);
 
-    if (tab?.id) {
-      await chrome.tabs.sendMessage(tab.id, {
-        type: 'FILL_OTP',
-        code: code
-      });
-      return { success: true };
-    }
+  const accounts = await getAccounts();
+  if (accounts.length === 0) {
+    return await logout();
+  }
 
-    return { error: 'No active tab' };
+  // Drop codes that came from the removed mailbox
+  const state = await getState();
+  const { [accountId]: _removed, ...lastQueries } = state.lastQueries || {};
+  await updateState({
+    lastQueries,
+    pendingCodes: (state.pendingCodes || []).filter(entry => entry.account !== accountId)
+  });
+
+  return { success: true };
+}
+
+/**
+ * Logout and clear tokens
+ */
+async function logout() {
+  for (const account of await getAccounts()) {
+    await removeAccount(account.id);
+  }
+
+  // Checkpoint from before multi-account support
+  await getProvider('gmail').resetSync();
+  await wipeSensitiveData();
+
+  await updateState({
+    isAuthenticated: false,
+    waitingTabs: {},
+    burstUntil: null,
+    lastError: null,
+    lastQueries: {}
+  });
+
+  stopOTPChecking();
+  await updateReauthIndicator([]);
+  return { success: true };
+}
+
+/**
+ * Start periodic OTP checking
+ */
+function startOTPChecking() {
+  // Slow idle cadence - pages waiting for a code trigger burst polling
+  chrome.alarms.create('checkOTP', { periodInMinutes: IDLE_PERIOD_MINUTES });
+
+  // Initial check
+  checkForOTP();
+}
+
+/**
+ * Stop OTP checking
+ */
+function stopOTPChecking() {
+  chrome.alarms.clear('checkOTP');
+  chrome.alarms.clear('checkOTPBurst');
+  clearTimeout(burstTimer);
+  burstTimer = null;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+}
+
+/**
+ * Handle alarm events
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === 'checkOTP') {
+    await checkForOTP();
+  }
+
+  // Keeps the burst alive if the service worker was restarted
+  if (alarm.name === 'checkOTPBurst' && !burstTimer) {
+    await runBurstCheck();
+  }
+});
+
+/**
+ * Forget tabs that were closed while waiting for a code
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+  stopWaiting(tabId);
+});
+
+/**
+ * Poll quickly for a bounded window after a page shows an OTP field
+ * @param {number} tabId - Tab that is waiting for a code
+ */
+async function startBurstPolling(tabId) {
+  const state = await getState();
+
+  if (!state.isAuthenticated) {
+    return { error: 'Not authenticated' };
+  }
+
+  if (!tabId) {
+    return { error: 'No tab' };
+  }
+
+  const now = Date.now();
+  await updateState({
+    waitingTabs: { ...state.waitingTabs, [tabId]: now },
+    burstUntil: now + BURST_DURATION_MS
+  });
+
+  chrome.alarms.create('checkOTPBurst', { periodInMinutes: 0.5 });
+  scheduleBurstCheck(0);
+
+  return { success: true };
+}
+
+/**
+ * Restart burst polling for tabs still waiting (e.g. after re-auth)
+ */
+async function resumeBurstPolling() {
+  const state = await getState();
+  if (Object.keys(state.waitingTabs || {}).length === 0) return;
+
+  await updateState({ burstUntil: Date.now() + BURST_DURATION_MS });
+  chrome.alarms.create('checkOTPBurst', { periodInMinutes: 0.5 });
+  scheduleBurstCheck(0);
+}
+
+/**
+ * Schedule the next burst check
+ */
+function scheduleBurstCheck(delay = BURST_INTERVAL_MS) {
+  clearTimeout(burstTimer);
+  burstTimer = setTimeout(runBurstCheck, delay);
+}
+
+/**
+ * Run one burst check, then reschedule until the window closes
+ */
+async function runBurstCheck() {
+  burstTimer = null;
+  const state = await getState();
+
+  const waiting = Object.keys(state.waitingTabs || {}).length > 0;
+  if (!state.isAuthenticated || !waiting || !state.burstUntil || Date.now() >= state.burstUntil) {
+    await stopBurstPolling();
+    return;
+  }
+
+  const response = await checkForOTP();
+
+  // No mailbox can be read until the user reconnects - keep the waiting
+  // tabs and resume once re-auth succeeds
+  if (response?.category === ERROR_CATEGORIES.AUTH) {
+    pauseBurstPolling();
+    return;
+  }
+
+  scheduleBurstCheck();
+}
+
+/**
+ * Stop polling but keep waiting tabs
+ */
+function pauseBurstPolling() {
+  clearTimeout(burstTimer);
+  burstTimer = null;
+  chrome.alarms.clear('checkOTPBurst');
+}
+
+/**
+ * End burst polling and fall back to the idle cadence
+ */
+async function stopBurstPolling() {
+  clearTimeout(burstTimer);
+  burstTimer = null;
+  chrome.alarms.clear('checkOTPBurst');
+  await updateState({ waitingTabs: {}, burstUntil: null });
+}
+
+/**
+ * Stop waiting for a code in a tab
+ */
+async function stopWaiting(tabId) {
+  const state = await getState();
+  if (!state.waitingTabs?.[tabId]) return;
+
+  const { [tabId]: _, ...waitingTabs } = state.waitingTabs;
+  await updateState({ waitingTabs });
+}
+
+/**
+ * Check Gmail for new OTP codes
+ * Concurrent callers share the check that is already running
+ */
+function checkForOTP() {
+  if (!checkInProgress) {
+    checkInProgress = runOTPCheck().finally(() => {
+      checkInProgress = null;
+    });
+  }
+
+  return checkInProgress;
+}
+
+/**
+ * Fetch new messages from every account and add their codes and links
+ * to the pending codes
+ */
+async function runOTPCheck() {
+  const wipesAtStart = wipeCount;
+  const state = await getState();
+
+  if (!state.isAuthenticated) {
+    return { error: 'Not authenticated' };
+  }
+
+  const accounts = await getAccounts();
+  if (accounts.length === 0) {
+    await updateState({ isAuthenticated: false });
+    return { error: 'Not authenticated' };
+  }
+
+  const settings = await getSettings();
+  const lastQueries = {};
+
+  // One failing mailbox must not stop the others from being checked
+  const found = [];
+  let checked = 0;
+  let lastError = null;
+  let newlyExpired = false;
+  let recovered = false;
+
+  for (const account of accounts) {
+    try {
+      const { found: accountFound, query } = await checkAccount(account, settings);
+      lastQueries[account.id] = query;
+      checked++;
+      recovered = recovered || !!account.needsReauth;
+
+      found.push(...accountFound);
+    } catch (error) {
+      console.error(`[Avenix OTP] Error checking ${account.email}:`, error);
+
+      if (error.message === 'TOKEN_EXPIRED') {
+        // Silent refresh failed - ask the user to reconnect
+        if (!error.pendingReauth) {
+          newlyExpired = newlyExpired || !account.needsReauth;
+          await updateAccount(account.id, { needsReauth: true, reauthCheckedAt: Date.now() });
+        }
+      } else if (isRetryableError(error) && error.retryAfterMs) {
+        // Leave this mailbox alone until the API is ready again
+        await updateAccount(account.id, {
+          backoffUntil: Date.now() + error.retryAfterMs,
+          backoffCategory: error.category
+        });
+      }
+
+      // Report the error that clears soonest
+      if (!lastError || (error.retryAfterMs ?? Infinity) < (lastError.retryAfterMs ?? Infinity)) {
+        lastError = error;
+      }
+    }
+  }
+
+  await updateState({ lastQueries: { ...state.lastQueries, ...lastQueries } });
+
+  if (newlyExpired) {
+    await updateReauthIndicator(await getAccounts(), true);
+  } else if (recovered) {
+    await onReauthenticated();
+  }
+
+  if (checked === 0) {
+    if (lastError?.message === 'TOKEN_EXPIRED') {
+      // Accounts and waiting logins are kept until the user reconnects
+      await updateState({ lastError: null });
+      return { error: 'Reconnect needed', category: ERROR_CATEGORIES.AUTH };
+    }
+
+    return await reportCheckError(lastError);
+  }
+
+  if (state.lastError) {
+    await updateState({ lastError: null });
+  }
+
+  // Codes found before a wipe (lock, idle, logout) must not come back,
+  // nor the message IDs the scan committed after it
+  if (wipeCount !== wipesAtStart) {
+    await clearProcessedIds();
+    return { latest: null, newCodes: 0, pendingCodes: [] };
+  }
+
+  // Re-read: codes may have been filled, dismissed or wiped meanwhile
+  const { pendingCodes: current } = await getState();
+  const known = new Set(current.map(entry => entry.id));
+  const pendingCodes = mergePendingCodes(current, found);
+  const newCodes = pendingCodes.filter(entry => !known.has(entry.id));
+
+  await updateState({ pendingCodes, lastChecked: Date.now() });
+
+  if (newCodes.length > 0 && settings.keepHistory) {
+    await addToHistory(newCodes);
+  }
+
+  // A wipe that ran while the codes were stored would have missed them
+  if (wipeCount !== wipesAtStart) {
+    await wipeSensitiveData();
+    return { latest: null, newCodes: 0, pendingCodes: [] };
+  }
+
+  if (newCodes.length === 0) {
+    // No OTP found in any message
+    return { latest: null, newCodes: 0, pendingCodes };
+  }
+
+  // Codes from mail that failed SPF/DKIM/DMARC are never autofilled
+  for (const entry of newCodes.filter(isUnverifiedSender)) {
+    console.warn('[Avenix OTP] Not autofilling code from unverified sender:', entry.authentication);
+  }
+
+  if (state.autoFill) {
+    autofillCodes(newCodes);
+  }
+
+  notifyNewCodes(newCodes, settings);
+
+  return { latest: newCodes[0], newCodes: newCodes.length, pendingCodes };
+}
+
+/**
+ * Check one account, renewing a token the API refused
+ * A refused token is dropped and replaced by a silently refreshed one once
+ * @param {Object} account - Account from getAccounts()
+ * @param {Object} settings - Search settings
+ * @returns {Promise<Object>} { found, query } - see scanAccount()
+ */
+async function checkAccount(account, settings) {
+  if (account.backoffUntil && Date.now() < account.backoffUntil) {
+    throw createRequestError('Waiting before retrying', {
+      category: account.backoffCategory,
+      retryAfterMs: account.backoffUntil - Date.now()
+    });
+  }
+
+  // Silent refresh already failed recently - wait for the user to reconnect
+  if (account.needsReauth && Date.now() - (account.reauthCheckedAt || 0) < REAUTH_RETRY_MS) {
+    throw Object.assign(new Error('TOKEN_EXPIRED'), { pendingReauth: true });
+  }
+
+  let token = await getSilentToken(account);
+
+  try {
+    return await scanAccount(account, token, settings);
+  } catch (error) {
+    if (error.message !== 'TOKEN_EXPIRED') throw error;
+
+    // Stale token: drop it so the next request cannot reuse it
+    await invalidateAccountToken(account, token);
+  }
+
+  token = await getSilentToken(account);
+
+  try {
+    return await scanAccount(account, token, settings);
+  } catch (error) {
+    if (error.message === 'TOKEN_EXPIRED') {
+      await invalidateAccountToken(account, token);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a token without prompting the user
+ * Refused grants become TOKEN_EXPIRED; transient failures are backed off
+ */
+async function getSilentToken(account) {
+  try {
+    return await getAccountToken(account, false);
+  } catch (error) {
+    // Being offline is no reason to sign the account out
+    if (navigator.onLine === false) {
+      throw createRequestError('Offline', { category: ERROR_CATEGORIES.OFFLINE });
+    }
+
+    // Only a refused grant or a missing sign-in needs the user
+    if (error.category === ERROR_CATEGORIES.AUTH || (!error.category && REAUTH_MESSAGES.test(error.message))) {
+      throw new Error('TOKEN_EXPIRED');
+    }
+
+    if (!error.category) {
+      throw createRequestError(`Token refresh failed: ${error.message}`, {
+        category: ERROR_CATEGORIES.NETWORK,
+        retryAfterMs: TOKEN_RETRY_MS
+      });
+    }
+
+    // Back off instead of asking the user to reconnect
+    if (isRetryableError(error)) {
+      error.retryAfterMs = error.retryAfterMs ?? TOKEN_RETRY_MS;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch new messages for one account and extract their codes and links
+ * @param {Object} account - Account from getAccounts()
+ * @param {string} token - Access token for the account
+ * @param {Object} settings - Search settings
+ * @returns {Promise<Object>} { found: Array<Object>, query } - pending code entries, newest first
+ */
+async function scanAccount(account, token, settings) {
+  const provider = getAccountProvider(account);
+
+  // Get messages added since the last check (provider sync cursor)
+  const { messages, cursor, query } = await provider.listNewMessages(token, {
+    maxResults: settings.maxMessages,
+    accountId: account.id,
+    settings
+  });
+
+  // Check each message for OTP (newest first)
+  const found = [];
+  for (const msg of messages) {
+    const { subject, sender, body, html, language, authentication, receivedAt } = await provider.getMessage(token, msg.id);
+
+    // Incremental syncs cannot search by sender - filter here
+    if (!matchesSenderFilters(sender, settings)) {
+      continue;
+    }
+
+    const result = extractOTPFromEmail(subject, body, html, {
+      language,
+      receivedAt,
+      withCandidates: true
+    });
+
+    if (result) {
+      logExtraction(result);
+      found.push(createPendingCode({ account, msg, result, subject, sender, receivedAt, authentication }));
+    }
+  }
+
+  // The whole batch is handled: older messages must not resurface later
+  await provider.commitSync(cursor, messages.map(m => m.id), account.id);
+
+  if (account.needsReauth || account.backoffUntil) {
+    await updateAccount(account.id, {
+      needsReauth: false,
+      reauthCheckedAt: null,
+      backoffUntil: null,
+      backoffCategory: null
+    });
+  }
+
+  return { found, query };
+}
+
+/**
+ * Build a pending code entry from an extraction result
+ * Candidates carry email snippets, so only the alternative codes are kept
+ * @returns {Object} { id, code, prefix, link, alternatives, confidence, tier, subject, sender,
+ *   senderDomain, account, authentication, receivedAt, expiresAt }
+ */
+function createPendingCode({ account, msg, result, subject, sender, receivedAt, authentication }) {
+  const isLink = result.type === 'link';
+
+  return {
+    id: msg.id,
+    code: isLink ? null : result.code,
+    prefix: isLink ? null : result.prefix || null,
+    link: isLink ? result.url : null,
+    alternatives: isLink ? [] : getAlternativeCodes(result),
+    confidence: result.confidence,
+    tier: result.tier ?? null,
+    subject,
+    sender,
+    senderDomain: getSenderDomain(sender),
+    account: account.id,
+    authentication,
+    receivedAt,
+    expiresAt: result.expiresAt || receivedAt + DEFAULT_CODE_TTL_MS
+  };
+}
+
+/**
+ * Log why candidates were rejected and which regions were ignored
+ */
+function logExtraction(result) {
+  const { rejected = [], stripped = [] } = result;
+
+  if (rejected.length > 0) {
+    console.debug('[Avenix OTP] Rejected candidates:',
+      rejected.map(c => `${c.code} (tier ${c.tier}: ${c.rule})`));
+  }
+  if (stripped.length > 0) {
+    console.debug('[Avenix OTP] Ignored email regions:',
+      stripped.map(r => `${r.type} (${r.text.length} chars): ${r.text.slice(0, 40)}`));
+  }
+}
+
+/**
+ * Add newly found codes to the pending ones
+ * Expired codes are dropped and a message already pending is not added twice
+ * @returns {Array<Object>} Pending codes, newest first
+ */
+function mergePendingCodes(pending = [], found = []) {
+  const known = new Set(pending.map(entry => entry.id));
+
+  return [...pending, ...found.filter(entry => !known.has(entry.id))]
+    .filter(entry => !isCodeExpired(entry))
+    .sort((a, b) => b.receivedAt - a.receivedAt)
+    .slice(0, MAX_PENDING_CODES);
+}
+
+/**
+ * Find the pending code a popup action refers to
+ * @param {Object} message - { id } or { code } / { url }
+ */
+function findPendingCode(state, { id, code, url }) {
+  return (state.pendingCodes || []).find(entry =>
+    id ? entry.id === id : (code ? entry.code === code : entry.link === url)
+  ) || null;
+}
+
+/**
+ * Remember a failed check and schedule its retry
+ * @param {Error} error - Categorized error (see services/request.js)
+ * @returns {Promise<Object>} { error, category, retryAfterMs } for the popup
+ */
+async function reportCheckError(error) {
+  const retryAfterMs = isRetryableError(error) ? error.retryAfterMs : null;
+
+  await updateState({
+    lastError: {
+      message: error?.message || 'Check failed',
+      category: error?.category || null,
+      retryAt: retryAfterMs ? Date.now() + retryAfterMs : null
+    }
+  });
+
+  if (retryAfterMs) {
+    scheduleRetry(retryAfterMs);
+  }
+
+  return {
+    error: error?.message || 'Check failed',
+    category: error?.category || null,
+    retryAfterMs
+  };
+}
+
+/**
+ * Retry a failed check once the API is expected to accept requests again
+ */
+function scheduleRetry(delayMs) {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  // The idle alarm covers longer waits
+  if (delayMs > IDLE_PERIOD_MINUTES * 60 * 1000) return;
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    checkForOTP();
+  }, delayMs);
+}
+
+/**
+ * Check if a pending code has passed its expiry time
+ */
+function isCodeExpired(entry) {
+  return !!entry.expiresAt && Date.now() >= entry.expiresAt;
+}
+
+/**
+ * Check if a pending code came from mail that failed SPF/DKIM/DMARC
+ */
+function isUnverifiedSender(entry) {
+  return entry.authentication?.verdict === AUTH_VERDICTS.FAIL;
+}
+
+/**
+ * Pick the pending code that best fits a page
+ * Only unexpired codes from verified senders of the page's site count;
+ * the most confident one wins, then the newest
+ * @param {Array<Object>} codes - Pending codes
+ * @param {Object} page - { hostname, pathname } of the page (a URL works)
+ * @param {number} since - Skip codes received before this time
+ * @returns {Promise<Object|null>}
+ */
+async function pickCodeForSite(codes = [], page = {}, since = 0) {
+  const { siteMappings } = await getSettings();
+
+  const eligible = codes.filter(entry =>
+    entry.code &&
+    !isCodeExpired(entry) &&
+    !isUnverifiedSender(entry) &&
+    entry.receivedAt >= since - CLOCK_SKEW_MS &&
+    matchesSite(entry.senderDomain, page.hostname, siteMappings, page.pathname)
+  );
+
+  eligible.sort((a, b) =>
+    (CONFIDENCE_RANK[b.confidence] || 0) - (CONFIDENCE_RANK[a.confidence] || 0) ||
+    b.receivedAt - a.receivedAt
+  );
+
+  return eligible[0] || null;
+}
+
+/**
+ * Pick the code a shortcut or the context menu fills: the best one for the
+ * page, else the newest code (whose fill then asks for confirmation)
+ */
+async function pickCodeForPage(codes = [], page = {}) {
+  return await pickCodeForSite(codes, page) || codes.find(entry => entry.code) || null;
+}
+
+/**
+ * Get other candidate codes worth showing when the top result is uncertain
+ */
+function getAlternativeCodes(result, limit = 3) {
+  if (result.confidence === 'high' || !result.candidates) {
+    return [];
+  }
+
+  const codes = new Set(result.candidates.map(c => c.code));
+  codes.delete(result.code);
+  return [...codes].slice(0, limit);
+}
+
+/**
+ * Get the host name, path and origin of the page in a tab (asked from its
+ * content script, so no "tabs" permission is needed)
+ * @param {number} tabId - Tab ID
+ * @param {number} frameId - Frame ID (0 = top page)
+ * @returns {Promise<Object>} { hostname, pathname, origin } - null when unknown
+ */
+async function getTabPage(tabId, frameId = 0) {
+  const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_HOST' }, { frameId }).catch(() => null);
+  return {
+    hostname: response?.hostname || null,
+    pathname: response?.pathname || null,
+    origin: response?.origin || null
+  };
+}
+
+/**
+ * Check if a code emailed from senderDomain may be filled on a page
+ * Same registrable domain, a built-in alias or a user mapping - never a
+ * page where third parties publish content (forms, sites)
+ * @param {string} senderDomain - Registrable domain of the sender
+ * @param {Object} page - { hostname, pathname } from getTabPage()
+ */
+async function isSiteAllowed(senderDomain, page) {
+  const { siteMappings } = await getSettings();
+  return matchesSite(senderDomain, page.hostname, siteMappings, page.pathname);
+}
+
+/**
+ * Autofill newly found codes
+ * Tabs waiting for a code (latest first) each get the best code that arrived
+ * after their OTP field appeared; without waiting tabs the active tab is used.
+ * Each code is sent to one tab at most.
+ * @param {Array<Object>} codes - New pending codes
+ */
+async function autofillCodes(codes) {
+  try {
+    const state = await getState();
+    let targets = Object.entries(state.waitingTabs || {})
+      .map(([tabId, since]) => ({ tabId: Number(tabId), since }))
+      .sort((a, b) => b.since - a.since);
+
+    if (targets.length === 0) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      targets = tab?.id ? [{ tabId: tab.id, since: 0 }] : [];
+    }
+
+    let remaining = codes;
+    for (const { tabId, since } of targets) {
+      const page = await getTabPage(tabId);
+      const { hostname, origin } = page;
+      const best = await pickCodeForSite(remaining, page, since);
+
+      if (!best) {
+        console.log(`[Avenix OTP] Not autofilling: no new code matches ${hostname || 'this page'}`);
+        continue;
+      }
+
+      // Only the top page is autofilled - frames are filled from the context menu
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'OTP_FOUND',
+        code: best.code,
+        prefix: best.prefix
+      }, { frameId: 0 }).catch(() => {
+        // Content script might not be loaded on this tab
+      });
+
+      await recordFill(best.id, {
+        mode: FILL_MODES.AUTO,
+        origin,
+        outcome: response?.success ? FILL_OUTCOMES.FILLED : FILL_OUTCOMES.FAILED,
+        error: response ? (response.success ? null : 'No code field found') : 'Page not reachable'
+      });
+
+      if (response?.success) {
+        remaining = remaining.filter(entry => entry !== best);
+        await stopWaiting(tabId);
+      }
+    }
+  } catch (error) {
+    console.error('[Avenix OTP] Error notifying content script:', error);
+  }
+}
+
+/**
+ * Fill a pending code and record the attempt in the history
+ * @param {Object} message - { id, code, confirmed, target, tabId, frameId } (see fillCodeInActiveTab)
+ */
+async function fillPendingCode({ id, code, confirmed = false, target = null, tabId, frameId }) {
+  const entry = findPendingCode(await getState(), { id, code });
+
+  let result;
+  if (entry && isCodeExpired(entry)) {
+    result = { error: 'Code expired', refused: true };
+  } else if (entry && isUnverifiedSender(entry)) {
+    result = { error: 'Sender not verified - copy the code instead', refused: true };
+  } else {
+    result = await fillCodeInActiveTab(code, {
+      senderDomain: entry?.senderDomain || null,
+      // Alternative codes were not printed with the vendor prefix
+      prefix: code === entry?.code ? entry.prefix : null,
+      confirmed: !!confirmed,
+      target,
+      tabId,
+      frameId
+    });
+  }
+
+  if (entry) {
+    await recordFill(entry.id, {
+      mode: FILL_MODES.MANUAL,
+      origin: result.origin,
+      outcome: result.success ? FILL_OUTCOMES.FILLED
+        : (result.refused || result.needsConfirmation ? FILL_OUTCOMES.REFUSED : FILL_OUTCOMES.FAILED),
+      error: result.error
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Fill code in active tab
+ * A page outside the sender's site needs the user's confirmation first
+ * @param {string} code - Code to fill
+ * @param {Object} options - { senderDomain, prefix, confirmed, target, tabId, frameId }
+ *   prefix: vendor prefix ("G-") the page may add if the field accepts it
+ *   target: 'focused' or 'context' (right-clicked) field instead of the detected OTP field
+ *   tabId, frameId: fill this tab (default: the active one) and frame (default: top page)
+ * @returns {Promise<Object>} { success, origin } or { error, origin, needsConfirmation? }
+ */
+async function fillCodeInActiveTab(code, { senderDomain = null, prefix = null, confirmed = false, target = null, tabId = null, frameId = 0 } = {}) {
+  try {
+    const [tab] = tabId ? [{ id: tabId }] : await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (tab?.id) {
+      // The site check uses the page of the frame that gets the code
+      const page = await getTabPage(tab.id, frameId);
+      const { hostname, origin } = page;
+      if (!confirmed && !(await isSiteAllowed(senderDomain, page))) {
+        return {
+          error: 'Site does not match sender',
+          needsConfirmation: true,
+          senderDomain,
+          site: hostname ? getRegistrableDomain(hostname) : null,
+          origin
+        };
+      }
+
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'FILL_OTP',
+        code: code,
+        prefix,
+        target
+      }, { frameId });
+
+      return response?.success
+        ? { success: true, origin }
+        : { error: target === 'context' ? 'This field cannot hold a code' : 'No code field found on this page', origin };
+    }
+
+    return { error: 'No active tab' };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Open a pending verification link
+ * Only links found in mail are opened - never a URL passed in a message
+ * @param {string} id - Message ID of the pending link
+ */
+async function openPendingLink(id) {
+  const entry = findPendingCode(await getState(), { id });
+
+  if (!entry?.link) {
+    return { error: 'Link not found' };
+  }
+  if (isCodeExpired(entry)) {
+    return { error: 'Link expired' };
+  }
+  if (isUnverifiedSender(entry)) {
+    return { error: 'Sender not verified' };
+  }
+
+  return await openLinkInWaitingTab(entry.link, entry.senderDomain);
+}
+
+/**
+ * Open a verification link in the tab waiting for it
+ * The newest waiting tab on the sender's site gets it; without one the link
+ * opens in a new tab, so no unrelated page is replaced
+ * @param {string} url - Link to open
+ * @param {string} senderDomain - Registrable domain of the sender
+ */
+async function openLinkInWaitingTab(url, senderDomain) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'Invalid link' };
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { error: 'Invalid link' };
+  }
+
+  try {
+    const state = await getState();
+    const waiting = Object.entries(state.waitingTabs || {})
+      .sort(([, a], [, b]) => b - a)
+      .map(([tabId]) => Number(tabId));
+
+    let target = null;
+    for (const tabId of waiting) {
+      if (await isSiteAllowed(senderDomain, await getTabPage(tabId))) {
+        target = tabId;
+        break;
+      }
+    }
+
+    if (target !== null) {
+      const updated = await chrome.tabs.update(target, { url: parsed.href, active: true }).catch(() => null);
+      await stopWaiting(target);
+      if (updated) {
+        return { success: true };
+      }
+    }
+
+    await chrome.tabs.create({ url: parsed.href });
+    return { success: true };
   } catch (error) {
     return { error: error.message };
   }
@@ -46,6 +46,10 @@
   // Minimum score threshold for OTP field detection
   const MIN_SCORE_THRESHOLD = 20;
 
+  // Inputs that can hold a code
+  const TEXT_INPUT_SELECTOR =
+    'input:not([type="hidden"]):not([type="password"]):not([type="email"]):not([type="submit"]):not([type="button"]):not([type="checkbox"]):not([type="radio"])';
+
   /**
    * Score an input field for OTP likelihood
    */
@@ -126,9 +130,7 @@
    * Find all potential OTP fields
    */
   function findOTPFields() {
-    const inputs = document.querySelectorAll(
-      'input:not([type="hidden"]):not([type="password"]):not([type="email"]):not([type="submit"]):not([type="button"]):not([type="checkbox"]):not([type="radio"])'
-    );
+    const inputs = document.querySelectorAll(TEXT_INPUT_SELECTOR);
 
     const candidates = [];
 
@@ -225,6 +227,47 @@
     );
   }
 
+  /**
+   * Check if a field only accepts digits
+   */
+  function isNumericOnlyField(input) {
+    if (input.type === 'number' || input.type === 'tel') return true;
+    if (input.inputMode === 'numeric') return true;
+
+    // e.g. pattern="[0-9]*", pattern="\d{6}"
+    const pattern = input.getAttribute('pattern') || '';
+    return /^\^?(?:\[0-9\]|\\d)(?:[*+]|\{\d+(?:,\d*)?\})?\$?$/.test(pattern);
+  }
+
+  /**
+   * Check if a field's length and pattern allow a value
+   */
+  function fieldAccepts(input, value) {
+    if (input.maxLength > 0 && value.length > input.maxLength) return false;
+
+    const pattern = input.getAttribute('pattern');
+    if (!pattern) return true;
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Adapt a code to what the field accepts
+   * A vendor prefix ("G-") is kept only where it fits; a code with letters
+   * is refused by numeric-only fields (its digits alone are not the code)
+   * @returns {string|null} Value to fill, or null if the field cannot take the code
+   */
+  function adaptCodeToField(input, code, prefix = null) {
+    if (isNumericOnlyField(input)) {
+      return /[A-Za-z]/.test(code) ? null : code;
+    }
+
+    return prefix && fieldAccepts(input, prefix + code) ? prefix + code : code;
+  }
+
   /**
    * Fill OTP into a single field
    */
@@ -294,26 +337,81 @@
   /**
    * Main function to fill OTP code
    */
-  function fillOTP(code) {
+  function fillOTP(code, prefix = null) {
     if (!code || typeof code !== 'string') return false;
 
-    // First, try multi-field OTP
+    // First, try multi-field OTP (one box per code character, no prefix)
     const multiFieldGroups = findMultiFieldOTP();
     if (multiFieldGroups.length > 0) {
-      fillMultiField(multiFieldGroups[0], code);
+      const group = multiFieldGroups[0];
+      const value = adaptCodeToField(group[0], code);
+      if (value === null) return false;
+      fillMultiField(group, value);
       return true;
     }
 
     // Then, try single field OTP
     const otpFields = findOTPFields();
     if (otpFields.length > 0) {
-      fillSingleField(otpFields[0].element, code);
+      const input = otpFields[0].element;
+      const value = adaptCodeToField(input, code, prefix);
+      if (value === null) return false;
+      fillSingleField(input, value);
       return true;
     }
 
     return false;
   }
 
+  // Element the context menu was last opened on ("Fill verification code here")
+  let contextTarget = null;
+
+  document.addEventListener('contextmenu', (event) => {
+    // composedPath() reaches inputs inside shadow roots
+    contextTarget = event.composedPath()[0] || event.target;
+  }, true);
+
+  /**
+   * Fill a field the user picked, even if it does not look like an OTP field;
+   * a box of a split input fills the whole group
+   * @returns {boolean} False if the element cannot hold the code
+   */
+  function fillChosenField(input, code, prefix = null) {
+    if (!(input instanceof HTMLInputElement) || !input.matches(TEXT_INPUT_SELECTOR)) {
+      return false;
+    }
+
+    const group = findMultiFieldOTP().find(g => g.includes(input));
+    const value = group ? adaptCodeToField(group[0], code) : adaptCodeToField(input, code, prefix);
+    if (value === null) return false;
+
+    if (group) {
+      fillMultiField(group, value);
+    } else {
+      fillSingleField(input, value);
+    }
+
+    return true;
+  }
+
+  /**
+   * Fill a code into the field the background asked for
+   * @param {string} target - 'context' (right-clicked field), 'focused'
+   *   (keyboard shortcut, falls back to detection) or none (detected field)
+   * @param {string} prefix - Vendor prefix the code was printed with ("G-"), if any
+   */
+  function fillTarget(code, target, prefix) {
+    if (target === 'context') {
+      return fillChosenField(contextTarget, code, prefix);
+    }
+
+    if (target === 'focused') {
+      return fillChosenField(document.activeElement, code, prefix) || fillOTP(code, prefix);
+    }
+
+    return fillOTP(code, prefix);
+  }
+
   /**
    * Listen for messages from background script
    */
@@ -321,10 +419,15 @@
     switch (message.type) {
       case 'OTP_FOUND':
       case 'FILL_OTP':
-        const success = fillOTP(message.code);
+        const success = fillTarget(message.code, message.target, message.prefix || null);
         sendResponse({ success });
         break;
 
+      case 'GET_PAGE_HOST':
+        // Lets the background match the page against the code's sender
+        sendResponse({ hostname: location.hostname, pathname: location.pathname, origin: location.origin });
+        break;
+
       case 'CHECK_OTP_FIELDS':
         const fields = findOTPFields();
         const multiFields = findMultiFieldOTP();
@@ -342,12 +445,42 @@
     return true;
   });
 
+  /**
+   * Tell the background once this page shows an OTP field,
+   * so it polls in bursts for codes arriving from now on
+   */
+  let fieldReported = false;
+  let detectionTimer = null;
+
+  function reportOTPField() {
+    if (fieldReported) return;
+    if (findMultiFieldOTP().length === 0 && findOTPFields().length === 0) return;
+
+    fieldReported = true;
+    chrome.runtime.sendMessage({ type: 'OTP_FIELD_DETECTED' }, () => {
+      // Ignore errors (e.g. extension reloaded)
+      void chrome.runtime.lastError;
+    });
+  }
+
+  /**
+   * Debounce field detection while the page is changing
+   */
+  function scheduleFieldDetection() {
+    clearTimeout(detectionTimer);
+    detectionTimer = setTimeout(reportOTPField, 500);
+  }
+
   /**
    * MutationObserver to handle dynamically added fields
    */
   let pendingCode = null;
 
   const observer = new MutationObserver((mutations) => {
+    if (!fieldReported) {
+      scheduleFieldDetection();
+    }
+
     if (!pendingCode) return;
 
     for (const mutation of mutations) {
@@ -380,6 +513,9 @@
     }, 30000);
   }
 
+  // Detect fields already present on load
+  reportOTPField();
+
   // Expose for debugging
   window.__avenixOTP = {
     findOTPFields,
@@ -0,0 +1,22 @@
+/**
+ * Offscreen Document - Avenix OTP Autofill
+ * Copies codes to the clipboard for the service worker, which has no DOM
+ * Built by Avenix (https://avenix.dev)
+ */
+
+const clipboard = document.getElementById('clipboard');
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== 'OFFSCREEN_COPY') {
+    return false;
+  }
+
+  // navigator.clipboard needs a focused document - offscreen pages never are
+  clipboard.value = message.text;
+  clipboard.select();
+  const success = document.execCommand('copy');
+  clipboard.value = '';
+
+  sendResponse({ success });
+  return false;
+});
@@ -7,6 +7,7 @@
 // DOM Elements
 const elements = {
   authSection: document.getElementById('auth-section'),
+  accountsSection: document.getElementById('accounts-section'),
   codeSection: document.getElementById('code-section'),
   settingsSection: document.getElementById('settings-section'),
   actionsSection: document.getElementById('actions-section'),
@@ -17,22 +18,96 @@ const elements = {
   authBtn: document.getElementById('auth-btn'),
   authBtnText: document.getElementById('auth-btn-text'),
 
+  accountList: document.getElementById('account-list'),
+  addAccountBtns: document.querySelectorAll('.add-account-btn'),
+  connectOutlookBtn: document.getElementById('connect-outlook-btn'),
+
   currentCode: document.getElementById('current-code'),
   codeMeta: document.getElementById('code-meta'),
+  codeExpiry: document.getElementById('code-expiry'),
+  codeWarning: document.getElementById('code-warning'),
+  fillConfirm: document.getElementById('fill-confirm'),
+  fillConfirmText: document.getElementById('fill-confirm-text'),
+  fillConfirmBtn: document.getElementById('fill-confirm-btn'),
+  codeAlternatives: document.getElementById('code-alternatives'),
+  codeAlternativesList: document.getElementById('code-alternatives-list'),
+  pendingCodes: document.getElementById('pending-codes'),
+  pendingList: document.getElementById('pending-list'),
   copyBtn: document.getElementById('copy-btn'),
   fillBtn: document.getElementById('fill-btn'),
+  openLinkBtn: document.getElementById('open-link-btn'),
 
   autoFillToggle: document.getElementById('auto-fill-toggle'),
+  settingsForm: document.getElementById('settings-form'),
+  lookbackInput: document.getElementById('lookback-input'),
+  maxMessagesInput: document.getElementById('max-messages-input'),
+  includeSendersInput: document.getElementById('include-senders-input'),
+  excludeSendersInput: document.getElementById('exclude-senders-input'),
+  labelsInput: document.getElementById('labels-input'),
+  siteMappingsInput: document.getElementById('site-mappings-input'),
+  mutedSendersInput: document.getElementById('muted-senders-input'),
+  hideNotificationCodeToggle: document.getElementById('hide-notification-code-toggle'),
+  categoryOptions: document.getElementById('category-options'),
+  saveSettingsBtn: document.getElementById('save-settings-btn'),
+  queryList: document.getElementById('query-list'),
+  historyPanel: document.getElementById('history-panel'),
+  historySearchInput: document.getElementById('history-search-input'),
+  keepHistoryToggle: document.getElementById('keep-history-toggle'),
+  clearHistoryBtn: document.getElementById('clear-history-btn'),
+  historyList: document.getElementById('history-list'),
   checkBtn: document.getElementById('check-btn'),
 
   toast: document.getElementById('toast')
 };
 
+// Countdown interval for the code expiry display
+let expiryTimer = null;
+
+// Remaining time below which the countdown is highlighted
+const EXPIRING_SOON_MS = 60 * 1000;
+
+// Popup wording for request error categories (see services/request.js)
+const ERROR_MESSAGES = {
+  rate_limited: 'Rate limited',
+  quota: 'Mail quota exceeded',
+  server: 'Mail server unavailable',
+  offline: 'You are offline',
+  network: 'Connection problem',
+  timeout: 'Mail server not responding'
+};
+
+// History wording for fill attempts (see services/history.js)
+const FILL_MODES = {
+  auto: 'Auto-filled',
+  manual: 'Filled'
+};
+
+const FILL_OUTCOMES = {
+  filled: 'ok',
+  refused: 'refused',
+  failed: 'failed'
+};
+
+// Gmail inbox categories that can be skipped (see services/settings.js)
+const MAIL_CATEGORIES = {
+  promotions: 'Promotions',
+  social: 'Social',
+  updates: 'Updates',
+  forums: 'Forums'
+};
+
 // State
 let currentState = {
   isAuthenticated: false,
-  currentCode: null,
+  pendingCodes: [],
+  selectedCodeId: null,  // Pending code shown and used by copy/fill (newest when unset)
+  accounts: [],
+  providers: [],
+  lastError: null,
   lastChecked: null,
+  lastQueries: {},
+  settings: null,
+  history: [],
   autoFill: true
 };
 
@@ -42,6 +117,7 @@ let currentState = {
 async function init() {
   await loadState();
   updateUI();
+  renderSettings();
   setupEventListeners();
 }
 
@@ -70,6 +146,15 @@ function sendMessage(message) {
   });
 }
 
+/**
+ * Get the pending code picked in the list, or the newest one
+ * @returns {Object|null} Pending code (see createPendingCode in background.js)
+ */
+function getSelectedCode() {
+  const codes = currentState.pendingCodes || [];
+  return codes.find(entry => entry.id === currentState.selectedCodeId) || codes[0] || null;
+}
+
 /**
  * Update UI based on current state
  */
@@ -80,41 +165,403 @@ function updateUI() {
     showUnauthenticatedUI();
   }
 
+  const selected = getSelectedCode();
+
   // Update code display
-  if (currentState.currentCode) {
-    elements.currentCode.textContent = formatCode(currentState.currentCode);
+  if (selected?.code) {
+    elements.currentCode.textContent = formatCode(selected.code);
+    elements.currentCode.classList.remove('empty');
+  } else if (selected?.link) {
+    elements.currentCode.textContent = 'Link';
     elements.currentCode.classList.remove('empty');
   } else {
     elements.currentCode.textContent = '------';
     elements.currentCode.classList.add('empty');
   }
 
-  // Update last checked time
+  // Only offer the link button when a verification link was found
+  elements.openLinkBtn.classList.toggle('hidden', !selected?.link);
+  elements.fillConfirm.classList.add('hidden');
+
+  // Mail that failed SPF/DKIM/DMARC may be spoofed - copy only
+  renderSenderWarning();
+
+  // Show other candidates when the extraction was uncertain
+  renderAlternatives(selected?.alternatives || []);
+
+  // Several codes arrived close together - let the user pick one
+  renderPendingCodes(selected);
+
+  // Live countdown until the code expires
+  startExpiryCountdown();
+
+  // Update last checked time, tagged with the mailbox when several are connected
+  const meta = [];
+  if (selected?.senderDomain) {
+    meta.push(`From ${selected.senderDomain}`);
+  }
+  if (selected && currentState.accounts.length > 1) {
+    meta.push(selected.account);
+  }
   if (currentState.lastChecked) {
-    const timeAgo = getTimeAgo(currentState.lastChecked);
-    elements.codeMeta.textContent = `Last checked ${timeAgo}`;
-  } else {
-    elements.codeMeta.textContent = '';
+    meta.push(`Last checked ${getTimeAgo(currentState.lastChecked)}`);
   }
+  elements.codeMeta.textContent = meta.join(' · ');
+
+  renderAccounts();
+  renderQueries();
 
   // Update auto-fill toggle
   elements.autoFillToggle.checked = currentState.autoFill;
 }
 
+/**
+ * Warn about a code from mail that failed sender authentication
+ */
+function renderSenderWarning() {
+  const unverified = isUnverifiedSender();
+  elements.codeWarning.classList.toggle('hidden', !unverified);
+
+  if (unverified) {
+    const { authentication } = getSelectedCode();
+    const failed = ['dmarc', 'spf', 'dkim']
+      .filter(method => ['fail', 'softfail'].includes(authentication[method]))
+      .map(method => method.toUpperCase());
+
+    const reason = failed.length > 0
+      ? ` (${failed.join(', ')} failed)`
+      : (authentication.aligned === false ? ' (checks passed for another domain)' : '');
+
+    elements.codeWarning.textContent = `Sender could not be verified${reason}. ` +
+      'This email may be spoofed - auto-fill is off. Only copy the code if you trust it.';
+  }
+}
+
+/**
+ * Check if a pending code came from mail that failed SPF/DKIM/DMARC
+ * @param {Object} entry - Pending code (defaults to the selected one)
+ */
+function isUnverifiedSender(entry = getSelectedCode()) {
+  return entry?.authentication?.verdict === 'fail';
+}
+
+/**
+ * Start (or restart) the expiry countdown
+ */
+function startExpiryCountdown() {
+  clearInterval(expiryTimer);
+  expiryTimer = null;
+
+  if (updateExpiry()) {
+    expiryTimer = setInterval(() => {
+      if (!updateExpiry()) {
+        clearInterval(expiryTimer);
+        expiryTimer = null;
+      }
+    }, 1000);
+  }
+}
+
+/**
+ * Update expiry display and grey out expired codes
+ * @returns {boolean} True while the countdown should keep running
+ */
+function updateExpiry() {
+  const selected = getSelectedCode();
+  const expiresAt = selected?.expiresAt;
+  const hasValue = !!selected;
+
+  // Codes from unverified senders can only be copied
+  const unverified = isUnverifiedSender();
+
+  if (!hasValue || !expiresAt) {
+    elements.codeExpiry.classList.add('hidden');
+    elements.currentCode.classList.remove('expired');
+    elements.fillBtn.disabled = unverified;
+    elements.openLinkBtn.disabled = unverified;
+    return false;
+  }
+
+  const remaining = expiresAt - Date.now();
+  const expired = remaining <= 0;
+
+  elements.codeExpiry.classList.remove('hidden');
+  elements.codeExpiry.classList.toggle('expired', expired);
+  elements.codeExpiry.classList.toggle('expiring', !expired && remaining < EXPIRING_SOON_MS);
+  elements.codeExpiry.textContent = expired ? 'Expired' : `Expires in ${formatDuration(remaining)}`;
+
+  // Expired codes stay visible but can no longer be filled
+  elements.currentCode.classList.toggle('expired', expired);
+  elements.fillBtn.disabled = expired || unverified;
+  elements.openLinkBtn.disabled = expired || unverified;
+
+  return !expired;
+}
+
+/**
+ * Render alternative code candidates (click to copy)
+ */
+function renderAlternatives(codes = []) {
+  elements.codeAlternativesList.replaceChildren();
+
+  for (const code of codes) {
+    const chip = document.createElement('button');
+    chip.className = 'code-chip';
+    chip.title = 'Copy code';
+    chip.textContent = code;
+    chip.addEventListener('click', () => copyCode(code));
+    elements.codeAlternativesList.appendChild(chip);
+  }
+
+  elements.codeAlternatives.classList.toggle('hidden', codes.length === 0);
+}
+
+/**
+ * List pending codes (click to show one and use it for copy and fill)
+ * @param {Object} selected - Pending code currently shown
+ */
+function renderPendingCodes(selected) {
+  const codes = currentState.pendingCodes || [];
+  elements.pendingList.replaceChildren();
+
+  for (const entry of codes) {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.className = 'pending-item' + (entry === selected ? ' selected' : '');
+    button.title = entry.subject || '';
+    button.addEventListener('click', () => {
+      currentState.selectedCodeId = entry.id;
+      updateUI();
+    });
+
+    const code = document.createElement('span');
+    code.className = 'pending-code';
+    code.textContent = entry.code || 'Link';
+
+    const details = document.createElement('span');
+    details.className = 'pending-details';
+    details.textContent = [
+      entry.senderDomain || 'Unknown sender',
+      entry.confidence === 'low' ? 'low confidence' : null,
+      getTimeAgo(entry.receivedAt)
+    ].filter(Boolean).join(' \u00b7 ');
+
+    const subject = document.createElement('span');
+    subject.className = 'pending-subject';
+    subject.textContent = entry.subject || '';
+
+    button.append(code, details, subject);
+    item.appendChild(button);
+    elements.pendingList.appendChild(item);
+  }
+
+  elements.pendingCodes.classList.toggle('hidden', codes.length < 2);
+}
+
+/**
+ * Render connected accounts with per-account remove buttons
+ */
+function renderAccounts() {
+  elements.accountList.replaceChildren();
+
+  for (const account of currentState.accounts) {
+    const item = document.createElement('li');
+    item.className = 'account-item' + (account.needsReauth ? ' needs-reauth' : '');
+
+    const email = document.createElement('span');
+    email.className = 'account-email';
+    email.textContent = account.email;
+    email.title = account.needsReauth ? 'Sign-in expired - reconnect to keep receiving codes' : account.email;
+
+    const provider = document.createElement('span');
+    provider.className = 'account-provider';
+    provider.textContent = getProviderName(account.provider);
+
+    if (account.needsReauth) {
+      const reconnectBtn = document.createElement('button');
+      reconnectBtn.className = 'btn btn-secondary btn-small';
+      reconnectBtn.textContent = 'Reconnect';
+      reconnectBtn.addEventListener('click', () => handleReconnectClick(account, reconnectBtn));
+      item.append(email, provider, reconnectBtn);
+    } else {
+      item.append(email, provider);
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-icon';
+    removeBtn.title = 'Remove account';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.addEventListener('click', () => handleRemoveAccountClick(account));
+
+    item.append(removeBtn);
+    elements.accountList.appendChild(item);
+  }
+}
+
+/**
+ * Fill the settings form from the stored settings
+ */
+function renderSettings() {
+  const settings = currentState.settings;
+  if (!settings) return;
+
+  elements.lookbackInput.value = settings.lookbackMinutes;
+  elements.maxMessagesInput.value = settings.maxMessages;
+  elements.includeSendersInput.value = settings.includeSenders.join(', ');
+  elements.excludeSendersInput.value = settings.excludeSenders.join(', ');
+  elements.labelsInput.value = settings.labels.join(', ');
+  elements.siteMappingsInput.value = settings.siteMappings.map(m => `${m.sender} = ${m.site}`).join(', ');
+  elements.mutedSendersInput.value = settings.mutedSenders.join(', ');
+  elements.hideNotificationCodeToggle.checked = settings.hideNotificationCode;
+
+  elements.categoryOptions.replaceChildren();
+  for (const [category, name] of Object.entries(MAIL_CATEGORIES)) {
+    const label = document.createElement('label');
+    label.className = 'toggle-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = category;
+    checkbox.checked = settings.excludeCategories.includes(category);
+
+    label.append(checkbox, name);
+    elements.categoryOptions.appendChild(label);
+  }
+
+  elements.keepHistoryToggle.checked = settings.keepHistory;
+}
+
+/**
+ * Show the code history, filtered by the search box
+ */
+function renderHistory() {
+  const query = elements.historySearchInput.value.trim().toLowerCase();
+  const entries = currentState.history.filter(entry => !query || [
+    entry.code,
+    entry.link,
+    entry.sender,
+    entry.subject,
+    ...entry.fills.map(fill => fill.origin)
+  ].some(value => value?.toLowerCase().includes(query)));
+
+  elements.historyList.replaceChildren();
+
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = !currentState.settings?.keepHistory
+      ? 'History is off'
+      : (query ? 'No matching codes' : 'No codes yet');
+    elements.historyList.appendChild(empty);
+    return;
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const code = document.createElement('span');
+    code.className = 'history-code';
+    code.textContent = entry.code || 'Link';
+
+    const details = document.createElement('span');
+    details.textContent = [
+      new Date(entry.receivedAt).toLocaleString(),
+      entry.senderDomain || entry.sender,
+      entry.tier ? `${entry.confidence} (tier ${entry.tier})` : entry.confidence
+    ].filter(Boolean).join(' \u00b7 ');
+
+    const subject = document.createElement('span');
+    subject.className = 'history-subject';
+    subject.textContent = entry.subject || '';
+    subject.title = entry.subject || '';
+
+    item.append(code, details, subject);
+
+    for (const fill of entry.fills) {
+      const line = document.createElement('span');
+      line.className = `history-fill ${fill.outcome}`;
+      line.textContent = [
+        `${FILL_MODES[fill.mode] || fill.mode} ${FILL_OUTCOMES[fill.outcome] || fill.outcome}`,
+        fill.origin,
+        new Date(fill.at).toLocaleTimeString(),
+        fill.error
+      ].filter(Boolean).join(' \u00b7 ');
+      item.appendChild(line);
+    }
+
+    elements.historyList.appendChild(item);
+  }
+}
+
+/**
+ * Show the search query each account used on the last check
+ */
+function renderQueries() {
+  elements.queryList.replaceChildren();
+
+  for (const account of currentState.accounts) {
+    const query = currentState.lastQueries?.[account.id];
+    const item = document.createElement('li');
+
+    const name = document.createElement('span');
+    name.className = 'query-account';
+    name.textContent = account.email;
+
+    const text = document.createElement('code');
+    text.className = 'query-text';
+    text.textContent = query || 'Not checked yet';
+
+    item.append(name, text);
+    elements.queryList.appendChild(item);
+  }
+}
+
+/**
+ * Get a provider's display name
+ */
+function getProviderName(providerId = 'gmail') {
+  return currentState.providers.find(p => p.id === providerId)?.name || providerId;
+}
+
 /**
  * Show UI for authenticated state
  */
 function showAuthenticatedUI() {
   // Status
+  const count = currentState.accounts.length;
   elements.statusDot.className = 'status-dot connected';
-  elements.statusText.textContent = 'Connected to Gmail';
+  const names = [...new Set(currentState.accounts.map(a => getProviderName(a.provider)))];
+  elements.statusText.textContent = count > 1
+    ? `Connected to ${count} accounts`
+    : `Connected to ${names[0] || 'Gmail'}`;
+
+  // Expired sign-ins and pending retries take over the status line
+  const { lastError } = currentState;
+  const reauthCount = currentState.accounts.filter(a => a.needsReauth).length;
+  if (reauthCount > 0) {
+    elements.statusDot.className = 'status-dot disconnected';
+    elements.statusText.textContent = reauthCount === count
+      ? 'Reconnect needed'
+      : `Reconnect needed for ${reauthCount} of ${count} accounts`;
+  } else if (lastError?.retryAt && lastError.retryAt > Date.now()) {
+    elements.statusDot.className = 'status-dot checking';
+    elements.statusText.textContent = describeError({
+      error: lastError.message,
+      category: lastError.category,
+      retryAfterMs: lastError.retryAt - Date.now()
+    });
+  }
 
   // Auth button
   elements.authBtnText.textContent = 'Disconnect';
   elements.authBtn.classList.remove('btn-primary');
   elements.authBtn.classList.add('btn-danger');
+  elements.connectOutlookBtn.classList.add('hidden');
 
   // Show sections
+  elements.accountsSection.classList.remove('hidden');
   elements.codeSection.classList.remove('hidden');
   elements.settingsSection.classList.remove('hidden');
   elements.actionsSection.classList.remove('hidden');
@@ -132,8 +579,10 @@ function showUnauthenticatedUI() {
   elements.authBtnText.textContent = 'Connect Gmail';
   elements.authBtn.classList.add('btn-primary');
   elements.authBtn.classList.remove('btn-danger');
+  elements.connectOutlookBtn.classList.remove('hidden');
 
   // Hide sections
+  elements.accountsSection.classList.add('hidden');
   elements.codeSection.classList.add('hidden');
   elements.settingsSection.classList.add('hidden');
   elements.actionsSection.classList.add('hidden');
@@ -146,15 +595,37 @@ function setupEventListeners() {
   // Auth button
   elements.authBtn.addEventListener('click', handleAuthClick);
 
+  // Add account buttons (one per provider)
+  elements.addAccountBtns.forEach(btn => {
+    btn.addEventListener('click', () => handleAddAccountClick(btn));
+  });
+
   // Copy button
   elements.copyBtn.addEventListener('click', handleCopyClick);
 
   // Fill button
   elements.fillBtn.addEventListener('click', handleFillClick);
 
+  // Fill on a site that does not match the sender
+  elements.fillConfirmBtn.addEventListener('click', () => handleFillClick({ confirmed: true }));
+
+  // Open link button
+  elements.openLinkBtn.addEventListener('click', handleOpenLinkClick);
+
   // Auto-fill toggle
   elements.autoFillToggle.addEventListener('change', handleAutoFillToggle);
 
+  // Search settings
+  elements.settingsForm.addEventListener('submit', handleSettingsSubmit);
+
+  // History (loaded when the panel is opened)
+  elements.historyPanel.addEventListener('toggle', () => {
+    if (elements.historyPanel.open) loadHistory();
+  });
+  elements.historySearchInput.addEventListener('input', renderHistory);
+  elements.keepHistoryToggle.addEventListener('change', handleKeepHistoryToggle);
+  elements.clearHistoryBtn.addEventListener('click', handleClearHistoryClick);
+
   // Check button
   elements.checkBtn.addEventListener('click', handleCheckClick);
 }
@@ -170,8 +641,10 @@ async function handleAuthClick() {
     const response = await sendMessage({ type: 'LOGOUT' });
     if (response.success) {
       currentState.isAuthenticated = false;
-      currentState.currentCode = null;
-      showToast('Disconnected from Gmail');
+      currentState.pendingCodes = [];
+      currentState.selectedCodeId = null;
+      currentState.accounts = [];
+      showToast('Disconnected');
     } else {
       showToast('Failed to disconnect', 'error');
     }
@@ -183,6 +656,7 @@ async function handleAuthClick() {
     const response = await sendMessage({ type: 'AUTHENTICATE' });
     if (response.success) {
       currentState.isAuthenticated = true;
+      await loadState();
       showToast('Connected to Gmail', 'success');
 
       // Check for OTP immediately
@@ -196,17 +670,81 @@ async function handleAuthClick() {
   updateUI();
 }
 
+/**
+ * Handle add account button click
+ */
+async function handleAddAccountClick(button) {
+  const wasAuthenticated = currentState.isAuthenticated;
+  button.disabled = true;
+
+  const response = await sendMessage({ type: 'ADD_ACCOUNT', provider: button.dataset.provider });
+  if (response.success) {
+    await loadState();
+    showToast(`Added ${response.account.email}`, 'success');
+
+    if (!wasAuthenticated) {
+      handleCheckClick();
+    }
+  } else {
+    showToast(response.error || 'Failed to add account', 'error');
+  }
+
+  button.disabled = false;
+  updateUI();
+}
+
+/**
+ * Handle reconnect button click for an account whose sign-in expired
+ */
+async function handleReconnectClick(account, button) {
+  button.disabled = true;
+
+  const response = await sendMessage({ type: 'REAUTHENTICATE', accountId: account.id });
+  if (response.success) {
+    await loadState();
+    showToast(`Reconnected ${account.email}`, 'success');
+  } else {
+    showToast(response.error || 'Failed to reconnect', 'error');
+  }
+
+  button.disabled = false;
+  updateUI();
+}
+
+/**
+ * Handle remove account button click
+ */
+async function handleRemoveAccountClick(account) {
+  const response = await sendMessage({ type: 'REMOVE_ACCOUNT', accountId: account.id });
+  if (response.success) {
+    await loadState();
+    showToast(`Removed ${account.email}`);
+  } else {
+    showToast(response.error || 'Failed to remove account', 'error');
+  }
+
+  updateUI();
+}
+
 /**
  * Handle copy button click
  */
 async function handleCopyClick() {
-  if (!currentState.currentCode) {
+  const selected = getSelectedCode();
+  if (!selected?.code) {
     showToast('No code to copy', 'error');
     return;
   }
 
+  await copyCode(selected.code);
+}
+
+/**
+ * Copy a code to the clipboard
+ */
+async function copyCode(code) {
   try {
-    await navigator.clipboard.writeText(currentState.currentCode);
+    await navigator.clipboard.writeText(code);
     showToast('Code copied!', 'success');
   } catch (error) {
     showToast('Failed to copy', 'error');
@@ -216,24 +754,57 @@ async function handleCopyClick() {
 /**
  * Handle fill button click
  */
-async function handleFillClick() {
-  if (!currentState.currentCode) {
+async function handleFillClick({ confirmed = false } = {}) {
+  const selected = getSelectedCode();
+  if (!selected?.code) {
     showToast('No code to fill', 'error');
     return;
   }
 
   const response = await sendMessage({
     type: 'FILL_CODE',
-    code: currentState.currentCode
+    id: selected.id,
+    code: selected.code,
+    confirmed
   });
 
+  elements.fillConfirm.classList.add('hidden');
+
   if (response.success) {
     showToast('Code filled!', 'success');
+  } else if (response.needsConfirmation) {
+    // Code emailed by a different site - let the user decide
+    elements.fillConfirmText.textContent =
+      `This code is from ${response.senderDomain || 'an unknown sender'}, ` +
+      `but this page is ${response.site || 'another site'}.`;
+    elements.fillConfirm.classList.remove('hidden');
   } else {
     showToast(response.error || 'Failed to fill', 'error');
   }
 }
 
+/**
+ * Handle open link button click
+ */
+async function handleOpenLinkClick() {
+  const selected = getSelectedCode();
+  if (!selected?.link) {
+    showToast('No link to open', 'error');
+    return;
+  }
+
+  const response = await sendMessage({
+    type: 'OPEN_LINK',
+    id: selected.id
+  });
+
+  if (response.success) {
+    showToast('Link opened!', 'success');
+  } else {
+    showToast(response.error || 'Failed to open link', 'error');
+  }
+}
+
 /**
  * Handle auto-fill toggle
  */
@@ -246,6 +817,83 @@ async function handleAutoFillToggle() {
   });
 }
 
+/**
+ * Handle search settings form submit
+ */
+async function handleSettingsSubmit(event) {
+  event.preventDefault();
+  elements.saveSettingsBtn.disabled = true;
+
+  const excludeCategories = [...elements.categoryOptions.querySelectorAll('input:checked')]
+    .map(checkbox => checkbox.value);
+
+  const response = await sendMessage({
+    type: 'SET_SETTINGS',
+    settings: {
+      lookbackMinutes: elements.lookbackInput.value,
+      maxMessages: elements.maxMessagesInput.value,
+      includeSenders: elements.includeSendersInput.value,
+      excludeSenders: elements.excludeSendersInput.value,
+      labels: elements.labelsInput.value,
+      siteMappings: elements.siteMappingsInput.value,
+      mutedSenders: elements.mutedSendersInput.value,
+      hideNotificationCode: elements.hideNotificationCodeToggle.checked,
+      excludeCategories
+    }
+  });
+
+  elements.saveSettingsBtn.disabled = false;
+
+  if (response.success) {
+    currentState.settings = response.settings;
+    renderSettings();
+    showToast('Settings saved', 'success');
+  } else {
+    showToast('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Load the code history from the background script
+ */
+async function loadHistory() {
+  const response = await sendMessage({ type: 'GET_HISTORY' });
+  currentState.history = response.history || [];
+  renderHistory();
+}
+
+/**
+ * Handle keep history toggle (turning it off deletes the history)
+ */
+async function handleKeepHistoryToggle() {
+  const response = await sendMessage({
+    type: 'SET_SETTINGS',
+    settings: { keepHistory: elements.keepHistoryToggle.checked }
+  });
+
+  if (response.success) {
+    currentState.settings = response.settings;
+    await loadHistory();
+  } else {
+    showToast('Failed to save settings', 'error');
+  }
+}
+
+/**
+ * Handle clear history button click
+ */
+async function handleClearHistoryClick() {
+  const response = await sendMessage({ type: 'CLEAR_HISTORY' });
+
+  if (response.success) {
+    currentState.history = [];
+    renderHistory();
+    showToast('History cleared');
+  } else {
+    showToast('Failed to clear history', 'error');
+  }
+}
+
 /**
  * Handle check now button click
  */
@@ -255,13 +903,31 @@ async function handleCheckClick() {
 
   const response = await sendMessage({ type: 'CHECK_NOW' });
 
-  if (response.code) {
-    currentState.currentCode = response.code;
+  if (!response.error) {
+    currentState.lastError = null;
+  }
+
+  if (response.latest) {
+    const { latest } = response;
+    currentState.pendingCodes = response.pendingCodes;
+    currentState.selectedCodeId = latest.id;
     currentState.lastChecked = Date.now();
-    showToast(`Found code: ${response.code}`, 'success');
+
+    const found = response.newCodes > 1
+      ? `Found ${response.newCodes} codes`
+      : (latest.code ? `Found code: ${latest.code}` : 'Found verification link');
+    showToast(found, isUnverifiedSender(latest) ? 'error' : 'success');
+  } else if (response.category === 'auth') {
+    // Accounts now carry needsReauth - refresh them for the Reconnect buttons
+    await loadState();
+    showToast('Sign-in expired - reconnect to keep receiving codes', 'error');
   } else if (response.error) {
-    showToast(response.error, 'error');
+    currentState.lastError = response.retryAfterMs
+      ? { message: response.error, category: response.category, retryAt: Date.now() + response.retryAfterMs }
+      : null;
+    showToast(describeError(response), 'error');
   } else {
+    currentState.pendingCodes = response.pendingCodes || currentState.pendingCodes;
     currentState.lastChecked = Date.now();
     showToast('No new codes found');
   }
@@ -284,6 +950,41 @@ function formatCode(code) {
   return code;
 }
 
+/**
+ * Describe a failed check, e.g. "Rate limited, retrying in 20s"
+ * @param {Object} response - { error, category, retryAfterMs }
+ */
+function describeError(response) {
+  const message = ERROR_MESSAGES[response.category] || response.error || 'Check failed';
+
+  if (!response.retryAfterMs) {
+    return message;
+  }
+
+  return `${message}, retrying in ${formatWait(response.retryAfterMs)}`;
+}
+
+/**
+ * Format a wait time as "20s" or "5 min"
+ */
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  return `${Math.ceil(seconds / 60)} min`;
+}
+
+/**
+ * Format remaining milliseconds as m:ss
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
 /**
  * Get human-readable time ago string
  */
@@ -0,0 +1,197 @@
+/**
+ * Account Registry
+ * Connected mail accounts and their access tokens
+ * Built by Avenix (https://avenix.dev)
+ */
+
+import { getProvider } from './providers/index.js';
+
+const ACCOUNTS_KEY = 'avenix_accounts';
+const TOKENS_KEY = 'avenix_account_tokens';
+const REFRESH_TOKENS_KEY = 'avenix_refresh_tokens';
+
+// Renew tokens shortly before the provider expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Access tokens do not outlive the browser session; refresh tokens are kept
+// in local storage, or every browser start would ask to sign in again
+
+/**
+ * Get all connected accounts
+ * @returns {Promise<Array>} [{ id, email, provider, type, addedAt, needsReauth }]
+ */
+export async function getAccounts() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(ACCOUNTS_KEY, (result) => {
+      resolve(result[ACCOUNTS_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Save the account list
+ */
+async function setAccounts(accounts) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [ACCOUNTS_KEY]: accounts }, resolve);
+  });
+}
+
+/**
+ * Add an account, or refresh it if the same mailbox is already connected
+ * @returns {Promise<Object>} Stored account
+ */
+async function upsertAccount(providerId, email, type) {
+  const accounts = await getAccounts();
+  const id = `${providerId}:${email.toLowerCase()}`;
+  const existing = accounts.find(a => a.id === id);
+
+  // The browser profile account never needs the web flow - keep it as is
+  const account = existing
+    ? { ...existing, type: existing.type === 'profile' ? existing.type : type, needsReauth: false }
+    : { id, email, provider: providerId, type, addedAt: Date.now(), needsReauth: false };
+
+  await setAccounts([...accounts.filter(a => a.id !== id), account]);
+  return account;
+}
+
+/**
+ * Update fields of a connected account
+ */
+export async function updateAccount(accountId, updates) {
+  const accounts = await getAccounts();
+  await setAccounts(accounts.map(a => (a.id === accountId ? { ...a, ...updates } : a)));
+}
+
+/**
+ * Read a map of accountId -> value from a storage area
+ */
+async function readTokenMap(storage, key) {
+  return new Promise((resolve) => {
+    storage.get(key, (result) => {
+      resolve(result[key] || {});
+    });
+  });
+}
+
+/**
+ * Set (or with a missing value, delete) one account's value in a storage map
+ */
+async function writeTokenMap(storage, key, accountId, value) {
+  const map = await readTokenMap(storage, key);
+  if (value) {
+    map[accountId] = value;
+  } else {
+    delete map[accountId];
+  }
+
+  return new Promise((resolve) => {
+    storage.set({ [key]: map }, resolve);
+  });
+}
+
+/**
+ * Load cached credentials
+ * After a browser restart only the refresh token is left
+ * @returns {Promise<Object>} accountId -> { token, expiresAt, refreshToken }
+ */
+async function getStoredTokens() {
+  const [accessTokens, refreshTokens] = await Promise.all([
+    readTokenMap(chrome.storage.session, TOKENS_KEY),
+    readTokenMap(chrome.storage.local, REFRESH_TOKENS_KEY)
+  ]);
+
+  const tokens = {};
+  for (const accountId of new Set([...Object.keys(accessTokens), ...Object.keys(refreshTokens)])) {
+    tokens[accountId] = { ...accessTokens[accountId], refreshToken: refreshTokens[accountId] };
+  }
+  return tokens;
+}
+
+/**
+ * Cache (or with null, forget) an account's credentials
+ */
+async function setStoredToken(accountId, entry) {
+  const { refreshToken, ...access } = entry || {};
+
+  await writeTokenMap(chrome.storage.session, TOKENS_KEY, accountId, entry ? access : null);
+  await writeTokenMap(chrome.storage.local, REFRESH_TOKENS_KEY, accountId, refreshToken);
+}
+
+/**
+ * Connect an account with a mail provider
+ * @param {string} providerId - Provider id ('gmail', 'outlook')
+ * @param {Object} options - Provider connect options (e.g. { profile: true })
+ * @returns {Promise<Object>} Connected account
+ */
+export async function connectAccount(providerId, options = {}) {
+  const provider = getProvider(providerId);
+  const { email, type, credentials } = await provider.connect(options);
+  const account = await upsertAccount(provider.id, email, type);
+
+  if (credentials && account.type === type) {
+    await setStoredToken(account.id, credentials);
+  }
+
+  return account;
+}
+
+/**
+ * Get the provider an account belongs to
+ */
+export function getAccountProvider(account) {
+  return getProvider(account.provider);
+}
+
+/**
+ * Get an access token for an account
+ * @param {Object} account - Account from getAccounts()
+ * @param {boolean} interactive - Whether the user may be prompted
+ * @returns {Promise<string>} Access token
+ */
+export async function getAccountToken(account, interactive = false) {
+  const tokens = await getStoredTokens();
+  const cached = tokens[account.id];
+  if (cached && Date.now() < cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+    return cached.token;
+  }
+
+  const credentials = await getAccountProvider(account).getToken(account, cached, { interactive });
+
+  // Tokens without an expiry are cached by the browser instead
+  if (credentials.expiresAt) {
+    await setStoredToken(account.id, credentials);
+  }
+
+  return credentials.token;
+}
+
+/**
+ * Forget a rejected token so the next request fetches a fresh one
+ */
+export async function invalidateAccountToken(account, token) {
+  await getAccountProvider(account).invalidateToken?.(account, token);
+
+  // Keep the refresh token - only the access token was refused
+  const tokens = await getStoredTokens();
+  if (tokens[account.id]) {
+    await setStoredToken(account.id, { ...tokens[account.id], expiresAt: 0 });
+  }
+}
+
+/**
+ * Disconnect an account and drop its tokens
+ * @param {string} accountId - Account ID
+ */
+export async function removeAccount(accountId) {
+  const accounts = await getAccounts();
+  const account = accounts.find(a => a.id === accountId);
+  if (!account) return;
+
+  const tokens = await getStoredTokens();
+  await getAccountProvider(account).disconnect?.(account, tokens[account.id]);
+  await setStoredToken(account.id, null);
+  await getAccountProvider(account).resetSync(account.id);
+
+  await setAccounts(accounts.filter(a => a.id !== accountId));
+}
@@ -4,14 +4,103 @@
  * Built by Avenix (https://avenix.dev)
  */
 
+import { launchPkceFlow, refreshAccessToken } from './oauth.js';
+import { requestJson, isRetryableError } from './request.js';
+import { htmlToText } from './html-parser.js';
+import { getAuthenticationVerdict } from './mail-auth.js';
+import { getProcessedIds, addProcessedIds, clearProcessedIds } from './processed-messages.js';
+
 const GMAIL_API_BASE = 'https://www.googleapis.com/gmail/v1';
+const GOOGLE_REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+
+// OAuth client for the web auth flow (Web application type) - used for
+// additional accounts and for the primary account on Firefox. Redirect URIs:
+// https://<extension-id>.chromiumapp.org/ and the Firefox
+// identity.getRedirectURL() - see README "Multiple accounts" and "Firefox"
+const GOOGLE_OAUTH = {
+  authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenUrl: 'https://oauth2.googleapis.com/token',
+  clientId: 'YOUR_WEB_CLIENT_ID.apps.googleusercontent.com',
+  scope: 'https://www.googleapis.com/auth/gmail.readonly',
+  // Consent is needed for Google to hand out a refresh token
+  prompt: 'select_account consent',
+  params: { access_type: 'offline' }
+};
+
+// Git-ignored file next to manifest.json holding the web client's secret,
+// which Google requires even with PKCE - see secrets.example.json
+const SECRETS_FILE = 'secrets.json';
+
+let googleOAuthConfig = null;
+
+// Primary account credentials where chrome.identity.getAuthToken is missing
+// (Firefox); kept like Chrome's own token cache
+const PRIMARY_AUTH_KEY = 'avenix_google_auth';
+
+// Renew access tokens shortly before Google expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Incremental sync checkpoint (history ID); processed message IDs are
+// session-only (see processed-messages.js)
+const SYNC_KEY = 'avenix_gmail_sync';
+
+// Inbox categories as Gmail label IDs (see settings.MAIL_CATEGORIES)
+const CATEGORY_LABELS = {
+  promotions: 'CATEGORY_PROMOTIONS',
+  social: 'CATEGORY_SOCIAL',
+  updates: 'CATEGORY_UPDATES',
+  forums: 'CATEGORY_FORUMS'
+};
+
+// Used when no settings are passed (see settings.DEFAULT_SETTINGS)
+const DEFAULT_LOOKBACK_MINUTES = 10;
+
+// Labels of added messages that history sync ignores
+const SKIPPED_HISTORY_LABELS = ['SENT', 'DRAFT', 'SPAM', 'TRASH'];
 
 /**
- * Get OAuth token using Chrome Identity API
+ * Whether the browser manages Google tokens itself (Chrome)
+ */
+function hasBrowserTokenCache() {
+  return typeof chrome.identity?.getAuthToken === 'function';
+}
+
+/**
+ * Load the primary account's web-flow credentials
+ * @returns {Promise<Object|null>} { token, refreshToken, expiresAt }
+ */
+async function getPrimaryCredentials() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(PRIMARY_AUTH_KEY, (result) => {
+      resolve(result[PRIMARY_AUTH_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Save (or with null, forget) the primary account's web-flow credentials
+ */
+async function setPrimaryCredentials(credentials) {
+  return new Promise((resolve) => {
+    if (credentials) {
+      chrome.storage.local.set({ [PRIMARY_AUTH_KEY]: credentials }, resolve);
+    } else {
+      chrome.storage.local.remove(PRIMARY_AUTH_KEY, resolve);
+    }
+  });
+}
+
+/**
+ * Get OAuth token for the primary account
+ * Chrome: Chrome Identity API; Firefox: web auth flow with stored refresh token
  * @param {boolean} interactive - Whether to show login prompt
  * @returns {Promise<string>} Access token
  */
 export async function getAuthToken(interactive = true) {
+  if (!hasBrowserTokenCache()) {
+    return getPrimaryWebToken(interactive);
+  }
+
   return new Promise((resolve, reject) => {
     chrome.identity.getAuthToken({ interactive }, (token) => {
       if (chrome.runtime.lastError) {
@@ -27,11 +116,57 @@ export async function getAuthToken(interactive = true) {
   });
 }
 
+/**
+ * Get the primary account's token without chrome.identity.getAuthToken
+ * Uses the cached token, then the refresh token, then the web auth flow
+ * @param {boolean} interactive - Whether to show login prompt
+ * @returns {Promise<string>} Access token
+ */
+async function getPrimaryWebToken(interactive) {
+  const stored = await getPrimaryCredentials();
+
+  // Like Chrome, never connect silently without an earlier sign-in
+  if (!stored && !interactive) {
+    throw new Error('Not signed in');
+  }
+
+  if (stored?.token && Date.now() < stored.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+    return stored.token;
+  }
+
+  let credentials = null;
+  if (stored?.refreshToken) {
+    try {
+      credentials = await refreshWebAuth(stored.refreshToken);
+    } catch (error) {
+      // A refused grant falls back to the web flow; anything else is retried later
+      if (isRetryableError(error)) throw error;
+      console.warn('[Avenix OTP] Token refresh failed:', error.message);
+    }
+  }
+
+  if (!credentials) {
+    credentials = await launchWebAuth({ interactive });
+  }
+
+  await setPrimaryCredentials(credentials);
+  return credentials.token;
+}
+
 /**
  * Remove cached auth token (for re-authentication)
+ * The refresh token is kept so the next request can renew silently
  * @param {string} token - Token to remove
  */
 export async function removeCachedToken(token) {
+  if (!hasBrowserTokenCache()) {
+    const stored = await getPrimaryCredentials();
+    if (stored?.token === token) {
+      await setPrimaryCredentials({ ...stored, token: null, expiresAt: 0 });
+    }
+    return;
+  }
+
   return new Promise((resolve) => {
     chrome.identity.removeCachedAuthToken({ token }, () => {
       resolve();
@@ -39,6 +174,78 @@ export async function removeCachedToken(token) {
   });
 }
 
+/**
+ * Revoke the primary account's grant and forget its tokens
+ * @param {string} token - Current access token, if known
+ */
+export async function revokePrimaryAuth(token) {
+  const stored = hasBrowserTokenCache() ? null : await getPrimaryCredentials();
+
+  // Revoking the refresh token also invalidates its access tokens
+  await revokeToken(stored?.refreshToken || token);
+
+  if (stored) {
+    await setPrimaryCredentials(null);
+  } else if (token) {
+    await removeCachedToken(token);
+  }
+}
+
+/**
+ * Revoke a Google access or refresh token
+ * Failures are ignored - the grant can still be removed in the Google account
+ * @param {string} token - Token to revoke
+ */
+export async function revokeToken(token) {
+  if (!token) return;
+
+  try {
+    await fetch(GOOGLE_REVOKE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token })
+    });
+  } catch (error) {
+    console.warn('[Avenix OTP] Token revocation failed:', error.message);
+  }
+}
+
+/**
+ * Get the web client config, with the client secret from SECRETS_FILE
+ * Without the file the token requests go out without a secret
+ * @returns {Promise<Object>} OAuth config for oauth.js
+ */
+async function getGoogleOAuth() {
+  googleOAuthConfig ??= fetch(chrome.runtime.getURL(SECRETS_FILE))
+    .then(response => (response.ok ? response.json() : {}))
+    .catch(() => ({}))
+    .then(secrets => (secrets.googleWebClientSecret
+      ? { ...GOOGLE_OAUTH, tokenParams: { client_secret: secrets.googleWebClientSecret } }
+      : GOOGLE_OAUTH));
+
+  return googleOAuthConfig;
+}
+
+/**
+ * Get OAuth credentials for any Google account via the web auth flow (PKCE)
+ * @param {Object} options - { interactive, loginHint }
+ *   interactive: show the account chooser
+ *   loginHint: email of the account to renew silently
+ * @returns {Promise<Object>} { token, refreshToken, expiresAt }
+ */
+export async function launchWebAuth({ interactive = true, loginHint } = {}) {
+  return launchPkceFlow(await getGoogleOAuth(), { interactive, loginHint });
+}
+
+/**
+ * Renew web-flow credentials with a refresh token
+ * @param {string} refreshToken - Refresh token from launchWebAuth()
+ * @returns {Promise<Object>} { token, refreshToken, expiresAt }
+ */
+export async function refreshWebAuth(refreshToken) {
+  return refreshAccessToken(await getGoogleOAuth(), refreshToken);
+}
+
 /**
  * Check if user is authenticated
  * @returns {Promise<boolean>}
@@ -52,31 +259,108 @@ export async function isAuthenticated() {
   }
 }
 
+/**
+ * Perform an authenticated GET against the Gmail API
+ * Retries transient failures; errors carry a category (see request.js)
+ * @param {string} token - OAuth access token
+ * @param {string} url - Full request URL
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function fetchGmail(token, url) {
+  return requestJson(token, url, { service: 'Gmail API' });
+}
+
+/**
+ * Build the sender, label and category terms of a search query
+ * @param {Object} settings - Search settings (see services/settings.js)
+ * @returns {Array<string>} Gmail search terms
+ */
+function buildFilterTerms(settings = {}) {
+  const terms = [];
+  const { includeSenders = [], excludeSenders = [], labels = [], excludeCategories = [] } = settings;
+
+  if (includeSenders.length > 0) {
+    terms.push(`from:(${includeSenders.join(' OR ')})`);
+  }
+
+  for (const sender of excludeSenders) {
+    terms.push(`-from:${sender}`);
+  }
+
+  // Label names use hyphens for spaces and slashes in search
+  const labelTerms = labels.map(label => `label:${label.replace(/[\s/]+/g, '-')}`);
+  if (labelTerms.length === 1) {
+    terms.push(labelTerms[0]);
+  } else if (labelTerms.length > 1) {
+    terms.push(`{${labelTerms.join(' ')}}`);
+  }
+
+  for (const category of excludeCategories) {
+    terms.push(`-category:${category}`);
+  }
+
+  return terms;
+}
+
+/**
+ * Build the Gmail search query for a recent-message scan
+ * newer_than only takes days/months/years, so the lookback is an epoch after:
+ * @param {Object} settings - Search settings (see services/settings.js)
+ * @returns {string} Gmail search query
+ */
+export function buildSearchQuery(settings = {}) {
+  const lookbackMinutes = settings.lookbackMinutes || DEFAULT_LOOKBACK_MINUTES;
+  const after = Math.floor((Date.now() - lookbackMinutes * 60 * 1000) / 1000);
+
+  return [`after:${after}`, ...buildFilterTerms(settings)].join(' ');
+}
+
 /**
  * Fetch recent messages from Gmail
  * @param {string} token - OAuth access token
  * @param {number} maxResults - Maximum number of messages to fetch
+ * @param {string} query - Gmail search query (see buildSearchQuery())
  * @returns {Promise<Array>} List of message IDs
  */
-export async function getRecentMessages(token, maxResults = 5) {
-  const query = 'newer_than:10m'; // Messages from last 10 minutes
+export async function getRecentMessages(token, maxResults = 5, query = buildSearchQuery()) {
   const url = `${GMAIL_API_BASE}/users/me/messages?maxResults=${maxResults}&q=${encodeURIComponent(query)}`;
 
-  const response = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${token}`
-    }
-  });
+  const data = await fetchGmail(token, url);
+  return data.messages || [];
+}
 
-  if (!response.ok) {
-    if (response.status === 401) {
-      throw new Error('TOKEN_EXPIRED');
-    }
-    throw new Error(`Gmail API error: ${response.status}`);
+/**
+ * Resolve label and category settings to Gmail label IDs
+ * @param {string} token - OAuth access token
+ * @param {Object} settings - Search settings
+ * @returns {Promise<Object>} { required, excluded } label ID lists
+ */
+async function getLabelFilter(token, settings = {}) {
+  const { labels = [], excludeCategories = [] } = settings;
+  const excluded = excludeCategories.map(c => CATEGORY_LABELS[c]).filter(Boolean);
+
+  if (labels.length === 0) {
+    return { required: [], excluded };
   }
 
-  const data = await response.json();
-  return data.messages || [];
+  // User labels are matched by name, system labels (INBOX, IMPORTANT) by ID
+  const data = await fetchGmail(token, `${GMAIL_API_BASE}/users/me/labels`);
+  const required = (data.labels || [])
+    .filter(label => labels.includes(label.name.toLowerCase()) || labels.includes(label.id.toLowerCase()))
+    .map(label => label.id);
+
+  return { required, excluded };
+}
+
+/**
+ * Check a message's label IDs against a label filter
+ */
+function matchesLabelFilter(labelIds = [], filter) {
+  if (filter.excluded.some(id => labelIds.includes(id))) {
+    return false;
+  }
+
+  return filter.required.length === 0 || filter.required.some(id => labelIds.includes(id));
 }
 
 /**
@@ -87,29 +371,186 @@ export async function getRecentMessages(token, maxResults = 5) {
  */
 export async function getMessage(token, messageId) {
   const url = `${GMAIL_API_BASE}/users/me/messages/${messageId}?format=full`;
+  return fetchGmail(token, url);
+}
 
-  const response = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${token}`
-    }
+/**
+ * Storage key for an account's sync state
+ * @param {string} accountId - Account ID (omitted for the legacy single account)
+ */
+function getSyncKey(accountId) {
+  return accountId ? `${SYNC_KEY}:${accountId}` : SYNC_KEY;
+}
+
+/**
+ * Load incremental sync state from storage
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} { historyId }
+ */
+async function getSyncState(accountId) {
+  const key = getSyncKey(accountId);
+  return new Promise((resolve) => {
+    chrome.storage.local.get(key, (result) => {
+      resolve({ historyId: result[key]?.historyId || null });
+    });
   });
+}
 
-  if (!response.ok) {
-    if (response.status === 401) {
-      throw new Error('TOKEN_EXPIRED');
+/**
+ * Save incremental sync state to storage
+ * @param {string} accountId - Account ID
+ * @param {Object} syncState - { historyId }
+ */
+async function setSyncState(accountId, syncState) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [getSyncKey(accountId)]: syncState }, resolve);
+  });
+}
+
+/**
+ * Get the mailbox profile (email address and current history ID)
+ * @param {string} token - OAuth access token
+ * @returns {Promise<Object>} { emailAddress, historyId, ... }
+ */
+export async function getProfile(token) {
+  return fetchGmail(token, `${GMAIL_API_BASE}/users/me/profile`);
+}
+
+/**
+ * Get the mailbox's current history ID (sync checkpoint)
+ * @param {string} token - OAuth access token
+ * @returns {Promise<string>} History ID
+ */
+async function getCurrentHistoryId(token) {
+  const profile = await getProfile(token);
+  return profile.historyId;
+}
+
+/**
+ * List IDs of messages added since a history checkpoint
+ * @param {string} token - OAuth access token
+ * @param {string} startHistoryId - Checkpoint to list from
+ * @returns {Promise<Object>} { messages (oldest first), historyId }
+ */
+async function listHistory(token, startHistoryId) {
+  const messages = [];
+  let pageToken = null;
+  let historyId = startHistoryId;
+
+  do {
+    const params = new URLSearchParams({
+      startHistoryId,
+      historyTypes: 'messageAdded',
+      maxResults: '100'
+    });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const data = await fetchGmail(token, `${GMAIL_API_BASE}/users/me/history?${params}`);
+
+    for (const record of data.history || []) {
+      for (const added of record.messagesAdded || []) {
+        const labels = added.message?.labelIds || [];
+        // Our own sent mail and drafts never carry codes for us; spam and
+        // trash are left out like in search (phishing must not supply codes)
+        if (!labels.some(label => SKIPPED_HISTORY_LABELS.includes(label))) {
+          messages.push(added.message);
+        }
+      }
+    }
+
+    historyId = data.historyId || historyId;
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return { messages, historyId };
+}
+
+/**
+ * Fetch messages that arrived since the last sync and were not yet processed
+ * Uses users.history.list from the stored checkpoint and falls back to a
+ * full recent-message list on first run or when the history ID has expired
+ * @param {string} token - OAuth access token
+ * @param {number} maxResults - Maximum number of messages to return
+ * @param {string} accountId - Account whose checkpoint to use
+ * @param {Object} settings - Search settings (see services/settings.js)
+ * @returns {Promise<Object>} { messages (newest first), historyId, query } -
+ *   pass historyId to commitSync() once the messages have been processed;
+ *   query describes the search for diagnostics
+ */
+export async function getNewMessages(token, maxResults = 5, accountId, settings = {}) {
+  const syncState = await getSyncState(accountId);
+  const processed = new Set(await getProcessedIds(getSyncKey(accountId)));
+  let messages;
+  let historyId;
+  let query;
+
+  try {
+    if (!syncState.historyId) {
+      throw Object.assign(new Error('No sync checkpoint'), { status: 404 });
     }
-    throw new Error(`Gmail API error: ${response.status}`);
+
+    // history.list cannot search - apply label and category filters to its
+    // label IDs before the maxResults cut (senders are checked per message)
+    const history = await listHistory(token, syncState.historyId);
+    const labelFilter = await getLabelFilter(token, settings);
+    messages = history.messages
+      .filter(m => matchesLabelFilter(m.labelIds, labelFilter))
+      .reverse();
+    historyId = history.historyId;
+    query = [`history:${syncState.historyId}`, ...buildFilterTerms(settings)].join(' ');
+  } catch (error) {
+    // 404: checkpoint missing or too old for history.list - resync fully
+    if (error.status !== 404) throw error;
+
+    // Take the checkpoint first so nothing arriving meanwhile is missed
+    historyId = await getCurrentHistoryId(token);
+    query = buildSearchQuery(settings);
+    messages = await getRecentMessages(token, maxResults, query);
   }
 
-  return response.json();
+  // Same message can appear in several history records
+  const seen = new Set();
+  const fresh = messages.filter(m => {
+    if (processed.has(m.id) || seen.has(m.id)) return false;
+    seen.add(m.id);
+    return true;
+  });
+
+  return { messages: fresh.slice(0, maxResults), historyId, query };
+}
+
+/**
+ * Save the sync checkpoint and remember processed message IDs
+ * @param {string} historyId - Checkpoint returned by getNewMessages()
+ * @param {Array<string>} messageIds - IDs that were extracted
+ * @param {string} accountId - Account the checkpoint belongs to
+ */
+export async function commitSync(historyId, messageIds = [], accountId) {
+  const syncState = await getSyncState(accountId);
+
+  await setSyncState(accountId, { historyId: historyId || syncState.historyId });
+  await addProcessedIds(getSyncKey(accountId), messageIds);
+}
+
+/**
+ * Forget the sync checkpoint and processed message cache
+ * @param {string} accountId - Account to reset
+ */
+export async function resetSync(accountId) {
+  await clearProcessedIds(getSyncKey(accountId));
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(getSyncKey(accountId), resolve);
+  });
 }
 
 /**
  * Decode Base64Url encoded string (used by Gmail API)
  * @param {string} encoded - Base64Url encoded string
+ * @param {string} charset - Charset of the decoded bytes (defaults to UTF-8,
+ *   falling back to Windows-1252 for unlabeled non-UTF-8 content)
  * @returns {string} Decoded string
  */
-export function decodeBase64Url(encoded) {
+export function decodeBase64Url(encoded, charset = '') {
   if (!encoded) return '';
 
   // Replace URL-safe characters with standard Base64
@@ -121,58 +562,114 @@ export function decodeBase64Url(encoded) {
     base64 += '='.repeat(4 - padding);
   }
 
+  let bytes;
   try {
-    return decodeURIComponent(
-      atob(base64)
-        .split('')
-        .map(c => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
-        .join('')
-    );
+    bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
   } catch {
-    // Fallback for non-UTF8 content
-    return atob(base64);
+    return '';
   }
+
+  return decodeBytes(bytes, charset);
 }
 
 /**
- * Extract plain text body from Gmail message payload
- * @param {Object} payload - Gmail message payload
- * @returns {string} Plain text body
+ * Decode bytes with a MIME charset
+ * @param {Uint8Array} bytes - Raw bytes
+ * @param {string} charset - Charset label (e.g. "iso-8859-1", "Shift_JIS")
+ * @returns {string} Decoded string
  */
-export function extractMessageBody(payload) {
-  if (!payload) return '';
+function decodeBytes(bytes, charset) {
+  if (charset) {
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch {
+      // Unknown label - decode as if unlabeled
+      console.warn(`[Avenix OTP] Unsupported charset "${charset}"`);
+    }
+  }
 
-  // Direct body data
-  if (payload.body?.data) {
-    return decodeBase64Url(payload.body.data);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    // Unlabeled legacy mail is almost always Latin-1 / Windows-1252
+    return new TextDecoder('windows-1252').decode(bytes);
   }
+}
 
-  // Multipart message - recursively search for text/plain or text/html
-  if (payload.parts) {
-    for (const part of payload.parts) {
-      // Prefer text/plain
-      if (part.mimeType === 'text/plain' && part.body?.data) {
-        return decodeBase64Url(part.body.data);
-      }
+/**
+ * Get a header value from a message part
+ * @param {Object} part - Gmail message part
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string} Header value or empty string
+ */
+function getPartHeader(part, name) {
+  const header = part?.headers?.find(h => h.name.toLowerCase() === name);
+  return header?.value || '';
+}
 
-      // Recursively check nested parts
-      if (part.parts) {
-        const nested = extractMessageBody(part);
-        if (nested) return nested;
-      }
-    }
+/**
+ * Read the charset parameter of a part's Content-Type header
+ * @param {Object} part - Gmail message part
+ * @returns {string} Charset label or empty string
+ */
+function getPartCharset(part) {
+  const match = getPartHeader(part, 'content-type').match(/charset\s*=\s*"?([^";\s]+)"?/i);
+  return match ? match[1] : '';
+}
 
-    // Fallback to text/html if no plain text found
-    for (const part of payload.parts) {
-      if (part.mimeType === 'text/html' && part.body?.data) {
-        // Strip HTML tags for OTP extraction
-        const html = decodeBase64Url(part.body.data);
-        return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ');
-      }
+/**
+ * Check if a part is an attached file rather than message text
+ */
+function isAttachment(part) {
+  return !!part.filename || /^\s*attachment/i.test(getPartHeader(part, 'content-disposition'));
+}
+
+/**
+ * Collect the decoded text/plain and text/html parts of a message
+ * @param {Object} part - Gmail message payload or part
+ * @param {Object} collected - { plain: [], html: [] }
+ * @returns {Object} collected
+ */
+function collectTextParts(part, collected = { plain: [], html: [] }) {
+  if (!part) return collected;
+
+  if (part.parts) {
+    for (const child of part.parts) {
+      collectTextParts(child, collected);
     }
+    return collected;
+  }
+
+  if (!part.body?.data || isAttachment(part)) {
+    return collected;
+  }
+
+  // Single-part messages may omit mimeType - treat them as plain text
+  const mimeType = (part.mimeType || 'text/plain').toLowerCase();
+  if (mimeType === 'text/plain') {
+    collected.plain.push(decodeBase64Url(part.body.data, getPartCharset(part)));
+  } else if (mimeType === 'text/html') {
+    collected.html.push(decodeBase64Url(part.body.data, getPartCharset(part)));
   }
 
-  return '';
+  return collected;
+}
+
+/**
+ * Extract the plain text and raw HTML of a message
+ * All inline text parts are combined; plain text falls back to the
+ * HTML with tags stripped when the message has no text/plain part
+ * @param {Object} payload - Gmail message payload
+ * @returns {Object} { text, html }
+ */
+export function extractMessageContent(payload) {
+  const { plain, html } = collectTextParts(payload);
+  const rawHtml = html.join('\n');
+
+  return {
+    text: plain.length > 0 ? plain.join('\n\n') : htmlToText(rawHtml),
+    html: rawHtml
+  };
 }
 
 /**
@@ -204,3 +701,28 @@ export function getMessageSender(payload) {
 
   return fromHeader?.value || '';
 }
+
+/**
+ * Get message language from the Content-Language header
+ * @param {Object} payload - Gmail message payload
+ * @returns {string} Language tag (e.g. "de-DE") or empty string
+ */
+export function getMessageLanguage(payload) {
+  if (!payload?.headers) return '';
+
+  const languageHeader = payload.headers.find(
+    h => h.name.toLowerCase() === 'content-language'
+  );
+
+  return languageHeader?.value || '';
+}
+
+/**
+ * Get the sender authentication verdict from Authentication-Results,
+ * Received-SPF and DKIM results
+ * @param {Object} payload - Gmail message payload
+ * @returns {Object} { verdict: 'pass' | 'fail' | 'none', dmarc, spf, dkim }
+ */
+export function getMessageAuthentication(payload) {
+  return getAuthenticationVerdict(payload?.headers || []);
+}
@@ -0,0 +1,114 @@
+/**
+ * Code History
+ * Bounded log of found codes and every attempt to fill them,
+ * so a failed login can be traced back to its code and email
+ * Built by Avenix (https://avenix.dev)
+ */
+
+// Holds codes and subjects - kept in session storage, never on disk
+const HISTORY_KEY = 'avenix_history';
+
+// Retention: the newest entries only, none older than a week
+export const MAX_HISTORY_ENTRIES = 100;
+export const HISTORY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Fill attempts kept per code
+const MAX_FILLS_PER_ENTRY = 10;
+
+export const FILL_MODES = {
+  AUTO: 'auto',       // Filled when the code arrived
+  MANUAL: 'manual'    // Fill button in the popup
+};
+
+export const FILL_OUTCOMES = {
+  FILLED: 'filled',
+  REFUSED: 'refused', // Expired, unverified sender or site mismatch
+  FAILED: 'failed'    // No code field, or the page could not be reached
+};
+
+/**
+ * Drop entries past the retention limits
+ */
+function pruneHistory(entries) {
+  const cutoff = Date.now() - HISTORY_RETENTION_MS;
+  return entries
+    .filter(entry => entry.foundAt >= cutoff)
+    .slice(0, MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Store history entries
+ */
+async function saveHistory(entries) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ [HISTORY_KEY]: entries }, resolve);
+  });
+}
+
+/**
+ * Get the code history
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ *   { id, code, link, subject, sender, senderDomain, confidence, tier, account,
+ *     receivedAt, foundAt, fills: [{ at, mode, origin, outcome, error }] }
+ */
+export async function getHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(HISTORY_KEY, (result) => {
+      resolve(pruneHistory(result[HISTORY_KEY] || []));
+    });
+  });
+}
+
+/**
+ * Add newly found codes to the history
+ * @param {Array<Object>} codes - Pending codes (see createPendingCode in background.js)
+ */
+export async function addToHistory(codes) {
+  const history = await getHistory();
+  const known = new Set(history.map(entry => entry.id));
+
+  const entries = codes
+    .filter(entry => !known.has(entry.id))
+    .map(entry => ({
+      id: entry.id,
+      code: entry.code,
+      link: entry.link,
+      subject: entry.subject,
+      sender: entry.sender,
+      senderDomain: entry.senderDomain,
+      confidence: entry.confidence,
+      tier: entry.tier,
+      account: entry.account,
+      receivedAt: entry.receivedAt,
+      foundAt: Date.now(),
+      fills: []
+    }));
+
+  if (entries.length > 0) {
+    await saveHistory(pruneHistory([...entries, ...history]));
+  }
+}
+
+/**
+ * Record an attempt to fill a code
+ * Codes that are not in the history (history turned off) are ignored
+ * @param {string} id - Message ID of the code
+ * @param {Object} fill - { mode, origin, outcome, error }
+ */
+export async function recordFill(id, { mode, origin = null, outcome, error = null }) {
+  const history = await getHistory();
+  const entry = history.find(e => e.id === id);
+  if (!entry) return;
+
+  entry.fills = [...entry.fills, { at: Date.now(), mode, origin, outcome, error }].slice(-MAX_FILLS_PER_ENTRY);
+  await saveHistory(history);
+}
+
+/**
+ * Delete the whole history
+ */
+export async function clearHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.session.remove(HISTORY_KEY, resolve);
+  });
+}
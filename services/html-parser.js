@@ -0,0 +1,332 @@
+/**
+ * HTML Parser
+ * Lightweight tokenizer that turns email HTML into visible text
+ * and records visually emphasised fragments (big, bold, spaced codes)
+ * Built by Avenix (https://avenix.dev)
+ *
+ * MV3 service workers have no DOMParser, so this walks the markup
+ * with a tag stack instead of building a DOM.
+ */
+
+/**
+ * Latin-1 named entities, in code point order from U+00A0
+ */
+const LATIN1_ENTITIES = (
+  'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+  'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+  'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+  'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml'
+).split(' ');
+
+const NAMED_ENTITIES = {
+  ...Object.fromEntries(LATIN1_ENTITIES.map((name, i) => [name, String.fromCodePoint(0xa0 + i)])),
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d',
+  lrm: '\u200e', rlm: '\u200f', ndash: '–', mdash: '—',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  dagger: '†', Dagger: '‡', bull: '•', hellip: '…', permil: '‰',
+  prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', euro: '€',
+  trade: '™', larr: '←', rarr: '→', check: '✓'
+};
+
+/**
+ * Decode named and numeric character references
+ * Unknown names are left as written
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  if (!text || !text.includes('&')) return text || '';
+
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi, (entity, dec, hex, name) => {
+    if (name) {
+      return NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    }
+
+    const codePoint = dec ? Number(dec) : parseInt(hex, 16);
+    if (codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+      return '\ufffd';
+    }
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+// Elements whose content is never visible text
+const SKIPPED_ELEMENTS = new Set(['head', 'style', 'script', 'title', 'template', 'noscript', 'xml']);
+
+// Elements whose raw content must not be tokenized
+const RAW_TEXT_ELEMENTS = new Set(['style', 'script', 'title', 'textarea', 'xml']);
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elements that start a new line in the text output
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'center', 'dd', 'div', 'dl', 'dt', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Inline styles and classes used to hide preheaders and tracking text
+const HIDDEN_STYLE_PATTERN = /display\s*:\s*none|visibility\s*:\s*hidden|mso-hide\s*:\s*all|(?:max-height|font-size|opacity)\s*:\s*0(?![.\d])/i;
+const HIDDEN_CLASS_PATTERN = /\b(?:pre-?header|preview-?text)\b/i;
+
+// Font size (px) from which text counts as large
+const LARGE_FONT_PX = 20;
+
+// Fragments longer than this are prose, not an emphasised code
+const MAX_FRAGMENT_LENGTH = 24;
+
+// Raw text (before whitespace collapsing) kept per open element
+const MAX_FRAGMENT_SOURCE = 1024;
+
+const FONT_KEYWORDS_PX = { 'x-large': 24, 'xx-large': 32, 'xxx-large': 48 };
+
+/**
+ * Parse attributes of a start tag
+ * @returns {Object} name -> decoded value (lowercase names)
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+  for (const match of source.matchAll(pattern)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+
+  return attributes;
+}
+
+/**
+ * Read a CSS property from an inline style
+ */
+function getStyleValue(style, property) {
+  const match = style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i'));
+  return match ? match[1].trim().toLowerCase() : '';
+}
+
+/**
+ * Convert a CSS font-size to pixels
+ * @returns {number} Pixels, or 0 when unknown
+ */
+function fontSizeToPx(value) {
+  if (FONT_KEYWORDS_PX[value]) return FONT_KEYWORDS_PX[value];
+
+  const match = value.match(/^([\d.]+)\s*(px|pt|em|rem|%)?/);
+  if (!match) return 0;
+
+  const size = Number(match[1]);
+  switch (match[2]) {
+    case 'pt': return size * 4 / 3;
+    case 'em':
+    case 'rem': return size * 16;
+    case '%': return size * 16 / 100;
+    default: return size;
+  }
+}
+
+/**
+ * Work out the emphasis an element adds to its content
+ * @returns {Object} { strong, large, spaced }
+ */
+function getElementEmphasis(tag, attributes) {
+  const style = attributes.style || '';
+  const fontWeight = getStyleValue(style, 'font-weight');
+  const letterSpacing = getStyleValue(style, 'letter-spacing');
+
+  return {
+    strong: tag === 'b' || tag === 'strong' || fontWeight === 'bold' || fontWeight === 'bolder' || Number(fontWeight) >= 600,
+    large: /^h[1-3]$/.test(tag) ||
+      fontSizeToPx(getStyleValue(style, 'font-size')) >= LARGE_FONT_PX ||
+      (tag === 'font' && Number(attributes.size) >= 5),
+    spaced: !!letterSpacing && letterSpacing !== 'normal' && parseFloat(letterSpacing) > 0
+  };
+}
+
+/**
+ * Check if an element hides its content
+ */
+function isHiddenElement(tag, attributes) {
+  return SKIPPED_ELEMENTS.has(tag) ||
+    'hidden' in attributes ||
+    HIDDEN_STYLE_PATTERN.test(attributes.style || '') ||
+    HIDDEN_CLASS_PATTERN.test(attributes.class || '');
+}
+
+// Containers mail clients wrap around quoted replies and signatures
+const QUOTE_CLASS_PATTERN = /\b(?:gmail_quote(?:_container)?|yahoo_quoted|moz-cite-prefix|protonmail_quote)\b/i;
+const SIGNATURE_CLASS_PATTERN = /\b(?:gmail_signature|moz-signature)\b/i;
+
+/**
+ * Check if an element holds quoted mail or a signature
+ * @returns {string|null} 'quote', 'signature' or null
+ */
+function getRemovedType(tag, attributes) {
+  if (QUOTE_CLASS_PATTERN.test(attributes.class || '') ||
+      (tag === 'blockquote' && attributes.type === 'cite')) {
+    return 'quote';
+  }
+  if (SIGNATURE_CLASS_PATTERN.test(attributes.class || '')) {
+    return 'signature';
+  }
+  return null;
+}
+
+/**
+ * Collapse whitespace, keeping single line breaks between blocks
+ */
+function normalizeText(text) {
+  return text
+    .replace(/[\u200b-\u200f\u2060\ufeff\u00ad\u034f]/g, '')  // Zero-width padding
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n[\s]*/g, '\n')
+    .trim();
+}
+
+/**
+ * Parse email HTML
+ * Drops <style>/<script>/<head> and hidden (preheader) content and
+ * decodes entities. Quoted replies (gmail_quote, blockquote type=cite)
+ * and signatures are left out of the text and returned as removed
+ * regions. Elements that are bold, large, letter-spaced or a
+ * table cell holding only a short value are reported as emphasised
+ * fragments so the extractor can prefer the code a reader would see.
+ * Links are collected from visible anchors outside the removed regions.
+ * @param {string} html - Raw HTML
+ * @returns {Object} { text, emphasis: [{ text, strong, large, spaced, cell }], removed: [{ type, text }],
+ *   links: [{ url, text }] }
+ */
+export function parseHtml(html) {
+  if (!html || typeof html !== 'string') {
+    return { text: '', emphasis: [], removed: [], links: [] };
+  }
+
+  const root = { tag: '#root', hidden: false, removed: null, link: null, strong: false, large: false, spaced: false, text: '' };
+  const stack = [root];
+  const emphasis = [];
+  const removed = [];
+  const links = [];
+  let output = '';
+
+  const current = () => stack[stack.length - 1];
+
+  const appendText = (text) => {
+    const frame = current();
+    if (frame.hidden) return;
+    if (frame.removed) {
+      frame.removed.text += text;
+      return;
+    }
+    output += text;
+
+    // Elements with more text than a code can never become a fragment
+    for (let i = 1; i < stack.length; i++) {
+      const frame = stack[i];
+      if (frame.link) {
+        frame.link.text += text;
+      }
+      if (frame.text !== null) {
+        frame.text = frame.text.length + text.length <= MAX_FRAGMENT_SOURCE ? frame.text + text : null;
+      }
+    }
+  };
+
+  const closeFrame = (frame) => {
+    if (frame.hidden || frame.removed || frame.text === null) return;
+
+    const text = normalizeText(frame.text);
+    const cell = frame.tag === 'td' || frame.tag === 'th';
+    const emphasised = frame.strong || frame.large || frame.spaced || cell;
+    if (emphasised && text && text.length <= MAX_FRAGMENT_LENGTH) {
+      emphasis.push({ text, strong: frame.strong, large: frame.large, spaced: frame.spaced, cell });
+    }
+  };
+
+  const lowerHtml = html.toLowerCase();
+  const tokenPattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/?([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+  let lastIndex = 0;
+
+  for (let match; (match = tokenPattern.exec(html));) {
+    appendText(decodeEntities(html.slice(lastIndex, match.index)));
+    lastIndex = tokenPattern.lastIndex;
+
+    const tag = match[1]?.toLowerCase();
+    if (!tag) continue;  // Comment, doctype or processing instruction
+
+    const isEnd = match[0][1] === '/';
+    if (BLOCK_ELEMENTS.has(tag)) appendText('\n');
+
+    if (isEnd) {
+      // Close up to the matching element; stray end tags are ignored
+      const index = stack.findLastIndex(frame => frame.tag === tag);
+      if (index > 0) {
+        stack.splice(index).reverse().forEach(closeFrame);
+      }
+      continue;
+    }
+
+    if (VOID_ELEMENTS.has(tag) || match[0].endsWith('/>')) continue;
+
+    const attributes = parseAttributes(match[2]);
+    const parent = current();
+    const own = getElementEmphasis(tag, attributes);
+
+    // Nested quotes belong to the outermost removed region
+    let region = parent.removed;
+    const removedType = region ? null : getRemovedType(tag, attributes);
+    if (removedType) {
+      region = { type: removedType, text: '' };
+      removed.push(region);
+    }
+
+    const hidden = parent.hidden || isHiddenElement(tag, attributes);
+    let link = null;
+    if (tag === 'a' && attributes.href && !hidden && !region) {
+      link = { url: attributes.href.trim(), text: '' };
+      links.push(link);
+    }
+
+    stack.push({
+      tag,
+      hidden,
+      removed: region,
+      link,
+      strong: parent.strong || own.strong,
+      large: parent.large || own.large,
+      spaced: parent.spaced || own.spaced,
+      text: ''
+    });
+
+    // Skip raw text up to the end tag (CSS and scripts may contain "<")
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const endIndex = lowerHtml.indexOf(`</${tag}`, lastIndex);
+      const rawEnd = endIndex === -1 ? html.length : endIndex;
+      if (tag === 'textarea') appendText(decodeEntities(html.slice(lastIndex, rawEnd)));
+      tokenPattern.lastIndex = lastIndex = rawEnd;
+    }
+  }
+
+  appendText(decodeEntities(html.slice(lastIndex)));
+  stack.splice(1).reverse().forEach(closeFrame);
+
+  return {
+    text: normalizeText(output),
+    emphasis,
+    removed: removed
+      .map(region => ({ type: region.type, text: normalizeText(region.text) }))
+      .filter(region => region.text),
+    links: links.map(link => ({ url: link.url, text: normalizeText(link.text) }))
+  };
+}
+
+/**
+ * Convert email HTML to visible plain text
+ * @param {string} html - Raw HTML
+ * @returns {string} Text
+ */
+export function htmlToText(html) {
+  return parseHtml(html).text;
+}
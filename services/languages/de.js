@@ -0,0 +1,63 @@
+/**
+ * German Language Pack
+ * Keywords and patterns for German verification emails
+ * Built by Avenix (https://avenix.dev)
+ */
+
+export default {
+  id: 'de',
+  name: 'Deutsch',
+
+  keywords: [
+    'code', 'bestätigung', 'bestaetigung', 'verifizierung',
+    'sicherheitscode', 'anmeldung', 'anmelden', 'einmal',
+    'passwort', 'kennwort', 'authentifizierung', 'tan', 'pin'
+  ],
+
+  labels: 'code|pin|tan',
+
+  explicitPatterns: (code) => [
+    // "Ihr Bestätigungscode lautet 123456"
+    new RegExp(`(?:best[äa]tigungs|verifizierungs|sicherheits|anmelde|einmal|zugangs|login)-?code\\s*(?:lautet|ist|:|=)?\\s*${code}`, 'i'),
+    // "Ihr Code lautet 123456"
+    new RegExp(`(?:ihr|dein)\\s+code\\s*(?:lautet|ist|:|=)\\s*${code}`, 'i'),
+    // "123456 ist Ihr Bestätigungscode"
+    new RegExp(`\\b${code}\\s+ist\\s+(?:ihr|dein)\\s+[a-zäöüß-]*code`, 'i'),
+    // "Geben Sie den folgenden Code ein: 123456"
+    new RegExp(`code\\s+ein\\s*[:=]?\\s*${code}`, 'i')
+  ],
+
+  contextPatterns: [
+    /code[\s\S]{1,200}?\b([0-9]{4,8})\b/i,
+    /\b([0-9]{4,8})\b[\s\S]{1,100}?(?:gültig|gueltig|läuft|laeuft)/i
+  ],
+
+  expiryPatterns: [
+    // "gültig für 10 Minuten", "läuft in 10 Minuten ab"
+    /(?:gültig|gueltig|läuft|laeuft)\s+(?:für\s+|noch\s+|in\s+)?(?<amount>\d+)\s*(?<unit>sekunden?|minuten?|stunden?)/i,
+    // "10 Minuten gültig"
+    /(?<amount>\d+)\s*(?<unit>sekunden?|minuten?|stunden?)\s+(?:lang\s+)?(?:gültig|gueltig)/i,
+    // "gültig bis 14:30 Uhr"
+    /(?:gültig|gueltig)\s+bis\s+(?<hour>\d{1,2}):(?<minute>\d{2})/i
+  ],
+
+  proximityPhrases: [
+    'ihr code', 'dein code', 'bestätigungscode', 'sicherheitscode',
+    'verifizierungscode', 'einmalcode', 'anmeldecode'
+  ],
+
+  quotePatterns: [
+    // "Am 06.01.2025 um 10:00 schrieb Jana <jana@example.com>:"
+    /^Am\s.{1,200}\sschrieb\s.{0,200}:\s*$/i
+  ],
+
+  forwardPatterns: [
+    /^-{2,}\s*(?:Weitergeleitete|Ursprüngliche) Nachricht\s*-{2,}$/i
+  ],
+
+  footerPatterns: [
+    /abmelden|abbestellen/i,
+    /alle rechte vorbehalten/i,
+    /^von meinem .+ gesendet/i
+  ]
+};
@@ -0,0 +1,123 @@
+/**
+ * English Language Pack
+ * Keywords and patterns for English verification emails
+ * Built by Avenix (https://avenix.dev)
+ */
+
+export default {
+  id: 'en',
+  name: 'English',
+
+  /**
+   * Keywords that indicate verification/authentication context
+   */
+  keywords: [
+    'verification', 'verify', 'code', 'pin', 'otp', 'passcode',
+    'confirmation', 'confirm', 'security', 'secure', 'authorization',
+    'authenticate', 'authentication', 'auth', 'login', 'log in',
+    'sign in', 'sign-in', '2fa', 'two-factor', 'two factor',
+    'one-time', 'one time', 'onetime', 'password', 'token',
+    'access code', 'temporary code', 'validation'
+  ],
+
+  /**
+   * Nouns that label a code (regex alternation)
+   */
+  labels: 'code|pin|otp|passcode',
+
+  /**
+   * Explicitly labelled codes (tier 1)
+   * @param {string} code - Regex source capturing the code token
+   * @returns {RegExp[]}
+   */
+  explicitPatterns: (code) => [
+    // "verification code is 123456", "confirmation code: 789012"
+    new RegExp(`(?:verification|confirmation|security|auth(?:entication)?|one[- ]?time|2fa|two[- ]?factor|temporary)\\s*code\\s*(?:is|:|=)\\s*${code}`, 'i'),
+    // "your code is 123456", "the code is K7QX9P"
+    new RegExp(`(?:your|the)\\s+(?:verification\\s+|security\\s+|one[- ]?time\\s+)?(?:code|otp|pin|passcode)\\s*(?:is|:|=)\\s*${code}`, 'i'),
+    // "code: 123456", "OTP: 789012", "PIN: 1234"
+    new RegExp(`\\b(?:code|pin|otp|passcode)\\s*[:=]\\s*${code}`, 'i'),
+    // "use code 123456", "enter code 789012"
+    new RegExp(`(?:use|enter|input|type)\\s+(?:this\\s+|the\\s+)?(?:code|otp|pin)\\s*[:=]?\\s*${code}`, 'i'),
+    // "123456 is your code", "G-482913 is your Google verification code"
+    new RegExp(`\\b${code}\\s+is\\s+your\\s+(?:[\\w-]+\\s+)?(?:verification\\s+|security\\s+|login\\s+|confirmation\\s+)?(?:code|otp|pin)`, 'i'),
+    // "here is your code: 123456"
+    new RegExp(`here\\s+is\\s+(?:your\\s+)?(?:code|otp|pin)\\s*[:=]?\\s*${code}`, 'i'),
+    // "code to verify: 123456"
+    new RegExp(`code\\s+to\\s+(?:verify|confirm|complete|access)\\s*[:=]?\\s*${code}`, 'i')
+  ],
+
+  /**
+   * Codes near context keywords (tier 4)
+   */
+  contextPatterns: [
+    // "use this code to..." followed by code
+    /(?:use\s+)?this\s+code[\s\S]{1,300}?\b([0-9]{4,8})\b/i,
+    // "enter the code..." followed by code
+    /enter\s+(?:the\s+)?(?:following\s+)?code[\s\S]{1,300}?\b([0-9]{4,8})\b/i,
+    // "code will expire..." (code often comes before or after)
+    /\b([0-9]{4,8})\b[\s\S]{1,100}?(?:will\s+)?expire/i,
+    /expire[\s\S]{1,100}?\b([0-9]{4,8})\b/i,
+    // "sign in" followed by code
+    /sign\s*(?:in|up)[\s\S]{1,250}?\b([0-9]{4,8})\b/i,
+    // "log in" followed by code
+    /log\s*in[\s\S]{1,250}?\b([0-9]{4,8})\b/i,
+    // Verification with larger window
+    /verification[\s\S]{1,200}?\b([0-9]{4,8})\b/i,
+    // "one-time" followed by code
+    /one[- ]?time[\s\S]{1,150}?\b([0-9]{4,8})\b/i,
+    // Generic "code" with nearby number
+    /\bcode\b[^0-9]{1,50}([0-9]{4,8})\b/i
+  ],
+
+  /**
+   * Code lifetime: durations (amount/unit) or clock times (hour/minute)
+   */
+  expiryPatterns: [
+    // "expires in 10 minutes", "valid for 5 minutes", "within 15 mins"
+    /(?:expires?|expiring|valid|active|good|within)\s+(?:in|for|after)?\s*(?:the\s+next\s+)?(?<amount>\d+)\s*(?<unit>seconds?|secs?|minutes?|mins?|hours?|hrs?)\b/i,
+    // "expires at 10:45 AM", "valid until 14:30 UTC"
+    /(?:expires?|valid)\s+(?:at|until)\s+(?<hour>\d{1,2}):(?<minute>\d{2})\s*(?<meridiem>[ap]\.?m\.?)?\s*(?<zone>UTC|GMT)?/i
+  ],
+
+  /**
+   * Phrases after which a code usually follows (tier 6)
+   */
+  proximityPhrases: [
+    'this code', 'your code', 'the code', 'enter code', 'use code',
+    'verification code', 'confirmation code', 'security code',
+    'one-time code', 'access code', 'login code', 'otp'
+  ],
+
+  /**
+   * Lines that start a quoted reply (rest of the message is dropped)
+   */
+  quotePatterns: [
+    // "On Mon, Jan 6, 2025 at 10:00 AM Jane <jane@example.com> wrote:"
+    /^On\s.{1,200}\swrote:\s*$/i
+  ],
+
+  /**
+   * Lines that start a forwarded or original message (rest is dropped)
+   */
+  forwardPatterns: [
+    // "---------- Forwarded message ---------", "Begin forwarded message:"
+    /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+    /^Begin forwarded message:/i,
+    // "-----Original Message-----"
+    /^-{2,}\s*Original Message\s*-{2,}$/i
+  ],
+
+  /**
+   * Lines that start a footer (legal text, unsubscribe, signatures)
+   */
+  footerPatterns: [
+    /unsubscribe/i,
+    /all rights reserved/i,
+    /^(?:©|\(c\)|copyright\b)/i,
+    /you(?:'re| are) receiving this/i,
+    /this (?:e-?mail|message) was sent to/i,
+    /^sent from my /i,
+    /this (?:e-?mail|message)(?: and any attachments)? (?:is|are|may be) confidential/i
+  ]
+};
@@ -0,0 +1,64 @@
+/**
+ * Spanish Language Pack
+ * Keywords and patterns for Spanish verification emails
+ * Built by Avenix (https://avenix.dev)
+ */
+
+export default {
+  id: 'es',
+  name: 'Español',
+
+  keywords: [
+    'código', 'codigo', 'verificación', 'verificacion', 'verificar',
+    'confirmación', 'confirmacion', 'confirmar', 'seguridad',
+    'contraseña', 'clave', 'iniciar sesión', 'inicio de sesión',
+    'autenticación', 'autenticacion', 'un solo uso'
+  ],
+
+  labels: 'c[oó]digo|clave|pin|otp',
+
+  explicitPatterns: (code) => [
+    // "Tu código de verificación es 123456"
+    new RegExp(`c[oó]digo\\s+(?:de\\s+)?(?:verificaci[oó]n|confirmaci[oó]n|seguridad|acceso|un\\s+solo\\s+uso)\\s*(?:es|:|=)?\\s*${code}`, 'i'),
+    // "Tu código es 123456"
+    new RegExp(`(?:tu|su)\\s+c[oó]digo\\s*(?:es|:|=)\\s*${code}`, 'i'),
+    // "Código: 123456", "PIN: 1234"
+    new RegExp(`\\b(?:c[oó]digo|pin|otp)\\s*[:=：]\\s*${code}`, 'i'),
+    // "123456 es tu código"
+    new RegExp(`\\b${code}\\s+es\\s+(?:tu|su)\\s+c[oó]digo`, 'i'),
+    // "Introduce el código 123456"
+    new RegExp(`(?:introduce|introduzca|ingresa|ingrese|usa|utiliza|use)\\s+(?:el\\s+|este\\s+)?c[oó]digo\\s*(?:siguiente\\s*)?[:=]?\\s*${code}`, 'i')
+  ],
+
+  contextPatterns: [
+    /c[oó]digo[\s\S]{1,200}?\b([0-9]{4,8})\b/i,
+    /\b([0-9]{4,8})\b[\s\S]{1,100}?(?:caduca|expira|v[aá]lido)/i
+  ],
+
+  expiryPatterns: [
+    // "caduca en 10 minutos", "válido durante 5 minutos"
+    /(?:caduca|expira|vence|v[aá]lido)\s+(?:en|durante|por)\s+(?<amount>\d+)\s*(?<unit>segundos?|minutos?|horas?)/i,
+    // "válido hasta las 14:30"
+    /(?:v[aá]lido|caduca|expira)\s+(?:hasta\s+)?(?:las?\s+)?(?<hour>\d{1,2}):(?<minute>\d{2})/i
+  ],
+
+  proximityPhrases: [
+    'tu código', 'su código', 'código de verificación',
+    'código de seguridad', 'código de acceso', 'código de confirmación'
+  ],
+
+  quotePatterns: [
+    // "El lun, 6 ene 2025 a las 10:00, Ana (<ana@example.com>) escribió:"
+    /^El\s.{1,200}\sescribió:\s*$/i
+  ],
+
+  forwardPatterns: [
+    /^-{2,}\s*Mensaje (?:reenviado|original)\s*-{2,}$/i
+  ],
+
+  footerPatterns: [
+    /darte de baja|cancelar (?:la )?suscripción/i,
+    /todos los derechos reservados/i,
+    /^enviado desde mi /i
+  ]
+};
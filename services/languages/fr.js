@@ -0,0 +1,61 @@
+/**
+ * French Language Pack
+ * Keywords and patterns for French verification emails
+ * Built by Avenix (https://avenix.dev)
+ */
+
+export default {
+  id: 'fr',
+  name: 'Français',
+
+  keywords: [
+    'code', 'vérification', 'verification', 'vérifier', 'confirmation',
+    'sécurité', 'securite', 'connexion', 'authentification',
+    'mot de passe', 'usage unique'
+  ],
+
+  labels: 'code|pin',
+
+  explicitPatterns: (code) => [
+    // "Votre code de vérification est : 123456"
+    new RegExp(`code\\s+(?:de\\s+)?(?:v[ée]rification|confirmation|s[ée]curit[ée]|connexion|validation|acc[èe]s)\\s*(?:est\\s*)?[:=]?\\s*${code}`, 'i'),
+    // "Votre code est 123456"
+    new RegExp(`(?:votre|ton)\\s+code\\s*(?:est\\s*)?[:=]?\\s*${code}`, 'i'),
+    // "123456 est votre code"
+    new RegExp(`\\b${code}\\s+est\\s+(?:votre|ton)\\s+code`, 'i'),
+    // "Saisissez le code suivant : 123456"
+    new RegExp(`(?:saisissez|saisir|entrez|entrer|utilisez)\\s+(?:le\\s+|ce\\s+)?code\\s*(?:suivant\\s*)?[:=]?\\s*${code}`, 'i')
+  ],
+
+  contextPatterns: [
+    /code[\s\S]{1,200}?\b([0-9]{4,8})\b/i,
+    /\b([0-9]{4,8})\b[\s\S]{1,100}?(?:expire|valable)/i
+  ],
+
+  expiryPatterns: [
+    // "expire dans 10 minutes", "valable pendant 5 minutes"
+    /(?:expire|valable|valide)\s+(?:dans|pendant)\s+(?<amount>\d+)\s*(?<unit>secondes?|minutes?|heures?)/i,
+    // "valable jusqu'à 14:30"
+    /(?:valable|valide|expire)\s+(?:jusqu['’]à|à)\s+(?<hour>\d{1,2})[:h](?<minute>\d{2})/i
+  ],
+
+  proximityPhrases: [
+    'votre code', 'code de vérification', 'code de sécurité',
+    'code de confirmation', 'code de connexion'
+  ],
+
+  quotePatterns: [
+    // "Le lun. 6 janv. 2025 à 10:00, Anne <anne@example.com> a écrit :"
+    /^Le\s.{1,200}\sa écrit\s?:\s*$/i
+  ],
+
+  forwardPatterns: [
+    /^-{2,}\s*(?:Message transféré|Message d'origine)\s*-{2,}$/i
+  ],
+
+  footerPatterns: [
+    /se désabonner|désinscri/i,
+    /tous droits réservés/i,
+    /^envoyé de mon /i
+  ]
+};
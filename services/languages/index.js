@@ -0,0 +1,92 @@
+/**
+ * Language Pack Registry
+ * Pluggable keyword/pattern packs used by the OTP extractor
+ * Built by Avenix (https://avenix.dev)
+ *
+ * A pack is an object with:
+ *   id                - ISO 639-1 code ('en', 'de', ...)
+ *   name              - Display name
+ *   keywords          - Lowercase verification context keywords
+ *   labels            - Regex alternation of nouns that label a code
+ *   explicitPatterns  - (codeSource) => RegExp[] for labelled codes
+ *   contextPatterns   - RegExp[] capturing a numeric code near keywords
+ *   proximityPhrases  - Phrases after which a code usually follows
+ *   expiryPatterns    - RegExp[] with named groups amount/unit (durations)
+ *                       or hour/minute[/meridiem/zone] (clock times)
+ *   quotePatterns     - optional RegExp[] for reply attribution lines
+ *   forwardPatterns   - optional RegExp[] for forwarded/original message headers
+ *   footerPatterns    - optional RegExp[] for lines that start a footer
+ */
+
+import en from './en.js';
+import es from './es.js';
+import de from './de.js';
+import fr from './fr.js';
+import pt from './pt.js';
+import ja from './ja.js';
+import zh from './zh.js';
+
+// English first: it is the most common language and the historical default
+const LANGUAGE_PACKS = [en, es, de, fr, pt, ja, zh];
+
+/**
+ * Register an additional language pack (replaces a pack with the same id)
+ * @param {Object} pack - Language pack
+ */
+export function registerLanguagePack(pack) {
+  if (!pack?.id || !Array.isArray(pack.keywords)) {
+    throw new Error('Invalid language pack');
+  }
+
+  const index = LANGUAGE_PACKS.findIndex(p => p.id === pack.id);
+  if (index !== -1) {
+    LANGUAGE_PACKS[index] = pack;
+  } else {
+    LANGUAGE_PACKS.push(pack);
+  }
+}
+
+/**
+ * Normalize a language tag to its primary subtag ("de-AT" -> "de")
+ * @param {string} language - Language tag
+ * @returns {string|null}
+ */
+function normalizeLanguage(language) {
+  if (!language || typeof language !== 'string') return null;
+  return language.trim().split(/[-_,;\s]/)[0].toLowerCase() || null;
+}
+
+/**
+ * Guess the language from the script used (CJK only)
+ * Latin-script languages are left to the packs' keywords
+ * @param {string} text - Text to inspect
+ * @returns {string|null} Language id or null if undetermined
+ */
+export function detectLanguage(text) {
+  if (!text) return null;
+
+  // Hiragana/Katakana only appear in Japanese
+  if (/[\u3040-\u30ff]/.test(text)) return 'ja';
+
+  // Han ideographs without kana
+  if (/[\u4e00-\u9fff]/.test(text)) return 'zh';
+
+  return null;
+}
+
+/**
+ * Get language packs in the order they should be tried
+ * The preferred language comes first, every other pack follows
+ * @param {string} language - Preferred language tag (optional)
+ * @returns {Object[]} Ordered language packs
+ */
+export function getLanguagePacks(language) {
+  const preferred = normalizeLanguage(language);
+  const pack = LANGUAGE_PACKS.find(p => p.id === preferred);
+
+  if (!pack) {
+    return [...LANGUAGE_PACKS];
+  }
+
+  return [pack, ...LANGUAGE_PACKS.filter(p => p !== pack)];
+}
@@ -0,0 +1,57 @@
+/**
+ * Japanese Language Pack
+ * Keywords and patterns for Japanese verification emails
+ * Built by Avenix (https://avenix.dev)
+ */
+
+export default {
+  id: 'ja',
+  name: '日本語',
+
+  keywords: [
+    '認証', '確認コード', '認証コード', '検証コード', 'セキュリティコード',
+    'ワンタイム', 'パスワード', 'ログイン', 'コード'
+  ],
+
+  labels: 'コード|番号',
+
+  explicitPatterns: (code) => [
+    // "認証コード：123456", "確認コードは123456です"
+    new RegExp(`(?:認証|確認|検証|セキュリティ|ワンタイム)(?:コード|番号|パスワード)\\s*(?:は|：|:|=)?\\s*${code}`, 'i'),
+    // "123456 はあなたの認証コードです"
+    new RegExp(`(?<![A-Z0-9])${code}\\s*(?:は|が)\\s*(?:あなたの)?(?:認証|確認|検証)コード`, 'i')
+  ],
+
+  contextPatterns: [
+    /(?:コード|番号)[\s\S]{1,100}?\b([0-9]{4,8})\b/,
+    /\b([0-9]{4,8})\b[\s\S]{1,60}?有効/
+  ],
+
+  expiryPatterns: [
+    // "10分間有効", "10分以内に入力"
+    /(?<amount>\d+)\s*(?<unit>秒|分|時間)間?(?:以内|有効)/,
+    // "有効期限は10分です"
+    /有効期限は?\s*(?<amount>\d+)\s*(?<unit>秒|分|時間)/
+  ],
+
+  proximityPhrases: [
+    '認証コード', '確認コード', '検証コード', 'セキュリティコード',
+    'ワンタイムパスワード'
+  ],
+
+  quotePatterns: [
+    // "2025年1月6日(月) 10:00 山田 <yamada@example.com>:"
+    /^\d{4}年\d{1,2}月\d{1,2}日.{0,200}<[^>\s]+@[^>\s]+>\s*[:：]\s*$/,
+    // "山田 さんは書きました:"
+    /書きました\s*[:：]\s*$/
+  ],
+
+  forwardPatterns: [
+    /^-{2,}\s*(?:転送メッセージ|元のメッセージ)\s*-{2,}$/
+  ],
+
+  footerPatterns: [
+    /配信停止|配信解除/,
+    /無断転載|All Rights Reserved/i
+  ]
+};
@@ -0,0 +1,63 @@
+/**
+ * Portuguese Language Pack
+ * Keywords and patterns for Portuguese verification emails
+ * Built by Avenix (https://avenix.dev)
+ */
+
+export default {
+  id: 'pt',
+  name: 'Português',
+
+  keywords: [
+    'código', 'codigo', 'verificação', 'verificacao', 'confirmação',
+    'confirmacao', 'segurança', 'seguranca', 'senha', 'acesso',
+    'autenticação', 'autenticacao', 'entrar'
+  ],
+
+  labels: 'c[oó]digo|senha|pin',
+
+  explicitPatterns: (code) => [
+    // "Seu código de verificação é 123456"
+    new RegExp(`c[oó]digo\\s+(?:de\\s+)?(?:verifica[çc][ãa]o|confirma[çc][ãa]o|seguran[çc]a|acesso|autentica[çc][ãa]o)\\s*(?:[ée]\\s*)?[:=]?\\s*${code}`, 'i'),
+    // "Seu código é 123456"
+    new RegExp(`(?:seu|teu)\\s+c[oó]digo\\s*(?:[ée]|:|=)\\s*${code}`, 'i'),
+    // "Código: 123456", "PIN: 1234"
+    new RegExp(`\\b(?:c[oó]digo|pin)\\s*[:=：]\\s*${code}`, 'i'),
+    // "123456 é o seu código"
+    new RegExp(`\\b${code}\\s+[ée]\\s+(?:o\\s+)?(?:seu|teu)\\s+c[oó]digo`, 'i'),
+    // "Digite o código 123456"
+    new RegExp(`(?:digite|insira|informe|use|utilize)\\s+(?:o\\s+|este\\s+)?c[oó]digo\\s*(?:abaixo\\s*)?[:=]?\\s*${code}`, 'i')
+  ],
+
+  contextPatterns: [
+    /c[oó]digo[\s\S]{1,200}?\b([0-9]{4,8})\b/i,
+    /\b([0-9]{4,8})\b[\s\S]{1,100}?(?:expira|v[aá]lido)/i
+  ],
+
+  expiryPatterns: [
+    // "expira em 10 minutos", "válido por 5 minutos"
+    /(?:expira|v[aá]lido)\s+(?:em|por|durante)\s+(?<amount>\d+)\s*(?<unit>segundos?|minutos?|horas?)/i,
+    // "válido até 14:30"
+    /(?:v[aá]lido|expira)\s+(?:at[ée]\s+)?(?:[àa]s\s+)?(?<hour>\d{1,2}):(?<minute>\d{2})/i
+  ],
+
+  proximityPhrases: [
+    'seu código', 'código de verificação', 'código de segurança',
+    'código de acesso', 'código de confirmação'
+  ],
+
+  quotePatterns: [
+    // "Em seg., 6 de jan. de 2025 às 10:00, Ana <ana@example.com> escreveu:"
+    /^Em\s.{1,200}\sescreveu:\s*$/i
+  ],
+
+  forwardPatterns: [
+    /^-{2,}\s*Mensagem (?:encaminhada|original)\s*-{2,}$/i
+  ],
+
+  footerPatterns: [
+    /cancelar (?:a )?inscrição|descadastr/i,
+    /todos os direitos reservados/i,
+    /^enviado do meu /i
+  ]
+};
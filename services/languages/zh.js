@@ -0,0 +1,55 @@
+/**
+ * Chinese Language Pack
+ * Keywords and patterns for Chinese (Simplified and Traditional) verification emails
+ * Built by Avenix (https://avenix.dev)
+ */
+
+export default {
+  id: 'zh',
+  name: '中文',
+
+  keywords: [
+    '验证码', '驗證碼', '校验码', '校驗碼', '动态码', '動態碼',
+    '动态密码', '確認碼', '确认码', '安全码', '安全碼',
+    '验证', '驗證', '登录', '登錄'
+  ],
+
+  labels: '验证码|驗證碼|校验码|校驗碼|动态码|動態碼|确认码|確認碼',
+
+  explicitPatterns: (code) => [
+    // "验证码：123456", "您的验证码为123456"
+    new RegExp(`(?:验证码|驗證碼|校验码|校驗碼|动态码|動態碼|动态密码|動態密碼|确认码|確認碼|安全码|安全碼)\\s*(?:是|为|為|：|:|=)?\\s*${code}`, 'i'),
+    // "123456 是您的验证码"
+    new RegExp(`(?<![A-Z0-9])${code}\\s*(?:是|为|為)\\s*(?:您的|你的)?(?:验证码|驗證碼|动态码|動態碼)`, 'i')
+  ],
+
+  contextPatterns: [
+    /(?:验证|驗證|校验|校驗)[\s\S]{1,100}?\b([0-9]{4,8})\b/,
+    /\b([0-9]{4,8})\b[\s\S]{1,60}?(?:有效|过期|過期)/
+  ],
+
+  expiryPatterns: [
+    // "5分钟内有效"
+    /(?<amount>\d+)\s*(?<unit>秒|分钟|分鐘|小时|小時)(?:内|內)?有效/,
+    // "有效期为5分钟"
+    /有效期(?:为|為)?\s*(?<amount>\d+)\s*(?<unit>秒|分钟|分鐘|小时|小時)/
+  ],
+
+  proximityPhrases: [
+    '验证码', '驗證碼', '动态码', '動態碼', '确认码', '確認碼'
+  ],
+
+  quotePatterns: [
+    // "张三 <zhang@example.com> 于2025年1月6日周一 10:00写道："
+    /写道\s*[:：]\s*$/
+  ],
+
+  forwardPatterns: [
+    /^-{2,}\s*(?:转发的邮件|原始邮件)\s*-{2,}$/
+  ],
+
+  footerPatterns: [
+    /退订|取消订阅/,
+    /版权所有/
+  ]
+};
@@ -0,0 +1,121 @@
+/**
+ * Mail Authentication
+ * Turns Authentication-Results / Received-SPF headers into a verdict
+ * so codes from spoofed mail are never filled automatically
+ * Built by Avenix (https://avenix.dev)
+ */
+
+import { getRegistrableDomain, getSenderDomain } from './site-matcher.js';
+
+export const AUTH_VERDICTS = {
+  PASS: 'pass',   // DMARC passed, or SPF/DKIM passed for the From domain
+  FAIL: 'fail',   // DMARC failed, SPF/DKIM failed, or they only passed for another domain
+  NONE: 'none'    // The receiving server recorded no usable result
+};
+
+// SPF results that mean the sending server was not authorized
+const SPF_FAILURES = ['fail', 'softfail'];
+
+/**
+ * Find a header value (first occurrence - the one the receiving server added)
+ * @param {Array<Object>} headers - [{ name, value }]
+ */
+function findHeader(headers, name) {
+  return headers.find(h => h.name?.toLowerCase() === name)?.value || '';
+}
+
+/**
+ * Get the registrable domain of a property value ("user@mail.example.com", "@example.com", "example.com")
+ */
+function getPropertyDomain(value) {
+  const domain = String(value || '').split('@').pop().replace(/[<>"]/g, '');
+  return domain ? getRegistrableDomain(domain) : null;
+}
+
+/**
+ * Read a "name=value" property from a method result segment
+ */
+function getProperty(segment, name) {
+  const match = segment.match(new RegExp(`(?:^|\\s)${name.replace('.', '\\.')}\\s*=\\s*([^\\s;]+)`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse an Authentication-Results header into method results
+ * "mx.google.com; dkim=pass header.i=@example.com; spf=pass (...) smtp.mailfrom=...; dmarc=pass (p=REJECT) header.from=example.com"
+ * @returns {Object} { dmarc, spf, dkim, spfDomain, dkimDomains } - result keywords (null when absent),
+ *   the domain SPF checked and the domains of passing DKIM signatures
+ */
+function parseAuthenticationResults(value) {
+  const results = { dmarc: null, spf: null, dkim: null, spfDomain: null, dkimDomains: [] };
+
+  // Drop comments - they may contain "=" and ";"
+  let text = value;
+  for (let previous; previous !== text;) {
+    previous = text;
+    text = text.replace(/\([^()]*\)/g, ' ');
+  }
+
+  for (const segment of text.split(';')) {
+    const match = segment.trim().match(/^(dmarc|spf|dkim)\s*=\s*([a-z]+)/i);
+    if (!match) continue;
+
+    const method = match[1].toLowerCase();
+    const result = match[2].toLowerCase();
+
+    if (method === 'dkim' && result === 'pass') {
+      const domain = getPropertyDomain(getProperty(segment, 'header.d') || getProperty(segment, 'header.i'));
+      if (domain) results.dkimDomains.push(domain);
+    }
+    if (method === 'spf' && !results.spf) {
+      results.spfDomain = getPropertyDomain(getProperty(segment, 'smtp.mailfrom') || getProperty(segment, 'smtp.helo'));
+    }
+
+    // One valid DKIM signature is enough
+    if (method === 'dkim' && results.dkim === 'pass') continue;
+    if (method !== 'dkim' && results[method]) continue;
+
+    results[method] = result;
+  }
+
+  return results;
+}
+
+/**
+ * Work out whether a message really comes from the domain it claims
+ * Only the topmost Authentication-Results header is trusted; lower ones
+ * can be written by the sender. Without DMARC, an SPF or DKIM pass only
+ * counts when it was for the From domain - anyone can pass for their own.
+ * @param {Array<Object>} headers - Message headers [{ name, value }]
+ * @param {string} sender - From header value (defaults to the From header)
+ * @returns {Object} { verdict, dmarc, spf, dkim, aligned }
+ */
+export function getAuthenticationVerdict(headers = [], sender = findHeader(headers, 'from')) {
+  const results = parseAuthenticationResults(findHeader(headers, 'authentication-results'));
+  const { dmarc, dkim } = results;
+
+  // Received-SPF: "Pass (google.com: domain of ...) ... envelope-from=user@example.com;"
+  const receivedSpfHeader = findHeader(headers, 'received-spf').trim();
+  const receivedSpf = receivedSpfHeader.split(/\s/)[0].toLowerCase() || null;
+  const spf = results.spf || receivedSpf;
+  const spfDomain = results.spf
+    ? results.spfDomain
+    : getPropertyDomain(getProperty(receivedSpfHeader, 'envelope-from'));
+
+  const fromDomain = getSenderDomain(sender);
+  const aligned = !!fromDomain && (
+    (spf === 'pass' && spfDomain === fromDomain) ||
+    (dkim === 'pass' && results.dkimDomains.includes(fromDomain))
+  );
+
+  let verdict = AUTH_VERDICTS.NONE;
+  if (dmarc === 'fail') {
+    verdict = AUTH_VERDICTS.FAIL;
+  } else if (dmarc === 'pass' || aligned) {
+    verdict = AUTH_VERDICTS.PASS;
+  } else if (spf === 'pass' || dkim === 'pass' || SPF_FAILURES.includes(spf) || dkim === 'fail') {
+    verdict = AUTH_VERDICTS.FAIL;
+  }
+
+  return { verdict, dmarc, spf, dkim, aligned };
+}
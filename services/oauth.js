@@ -0,0 +1,181 @@
+/**
+ * OAuth Helper
+ * Authorization code flow with PKCE through identity.launchWebAuthFlow
+ * Built by Avenix (https://avenix.dev)
+ */
+
+import { createRequestError, ERROR_CATEGORIES } from './request.js';
+
+// Token endpoint requests give up after this long
+const TOKEN_TIMEOUT_MS = 15 * 1000;
+
+// Authorization errors that only a new sign-in can fix
+const REAUTH_ERRORS = ['invalid_grant', 'login_required', 'interaction_required', 'consent_required'];
+
+/**
+ * Encode bytes as unpadded Base64Url
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64Url string
+ */
+function encodeBase64Url(bytes) {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Generate a random Base64Url string
+ * @param {number} size - Number of random bytes
+ */
+function randomString(size = 32) {
+  return encodeBase64Url(crypto.getRandomValues(new Uint8Array(size)));
+}
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {Promise<Object>} { verifier, challenge }
+ */
+export async function createPkcePair() {
+  const verifier = randomString(32);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: encodeBase64Url(digest) };
+}
+
+/**
+ * Convert a token endpoint response to stored credentials
+ * @param {Object} data - Token endpoint JSON
+ * @param {string} previousRefreshToken - Kept when the server does not rotate it
+ * @returns {Object} { token, refreshToken, expiresAt }
+ */
+function toCredentials(data, previousRefreshToken = null) {
+  return {
+    token: data.access_token,
+    refreshToken: data.refresh_token || previousRefreshToken,
+    expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000
+  };
+}
+
+/**
+ * POST a form to a token endpoint
+ * Errors carry a category (see request.js): AUTH for a revoked or expired
+ * grant, SERVER, NETWORK or TIMEOUT for failures worth retrying later
+ * @param {string} tokenUrl - Token endpoint
+ * @param {Object} fields - Form fields
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function requestToken(tokenUrl, fields) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TOKEN_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(fields),
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw createRequestError('Token request timed out', { category: ERROR_CATEGORIES.TIMEOUT });
+    }
+    throw createRequestError('Token endpoint unreachable', { category: ERROR_CATEGORIES.NETWORK });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    const status = response.status;
+    let category = ERROR_CATEGORIES.CLIENT;
+    if (status === 401 || REAUTH_ERRORS.includes(data.error)) {
+      category = ERROR_CATEGORIES.AUTH;
+    } else if (status === 429) {
+      category = ERROR_CATEGORIES.RATE_LIMITED;
+    } else if (status >= 500) {
+      category = ERROR_CATEGORIES.SERVER;
+    }
+
+    const message = data.error_description || data.error || `Token request failed: ${status}`;
+    throw Object.assign(createRequestError(message, { category, status }), { code: data.error });
+  }
+
+  return data;
+}
+
+/**
+ * Run the authorization code flow with PKCE
+ * @param {Object} config - Provider endpoints and client
+ *   authUrl, tokenUrl, clientId, scope, prompt (interactive prompt value),
+ *   params (extra authorize parameters), tokenParams (extra token request fields)
+ * @param {Object} options - { interactive, loginHint }
+ * @returns {Promise<Object>} { token, refreshToken, expiresAt }
+ */
+export async function launchPkceFlow(config, { interactive = true, loginHint } = {}) {
+  const { verifier, challenge } = await createPkcePair();
+  const state = randomString(16);
+  const redirectUri = chrome.identity.getRedirectURL();
+
+  const params = new URLSearchParams({
+    client_id: config.clientId,
+    response_type: 'code',
+    redirect_uri: redirectUri,
+    scope: config.scope,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+    prompt: interactive ? (config.prompt || 'select_account') : 'none',
+    ...config.params
+  });
+  if (loginHint) params.set('login_hint', loginHint);
+
+  const responseUrl = await new Promise((resolve, reject) => {
+    chrome.identity.launchWebAuthFlow({ url: `${config.authUrl}?${params}`, interactive }, (url) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(url);
+    });
+  });
+
+  const result = new URL(responseUrl || 'about:blank').searchParams;
+  if (result.get('error')) {
+    // prompt=none answers login_required etc. when the session is gone
+    const category = REAUTH_ERRORS.includes(result.get('error')) ? ERROR_CATEGORIES.AUTH : ERROR_CATEGORIES.CLIENT;
+    throw Object.assign(createRequestError(result.get('error'), { category }), { code: result.get('error') });
+  }
+
+  // Reject responses that were not started by this flow
+  if (result.get('state') !== state || !result.get('code')) {
+    throw new Error('Invalid authorization response');
+  }
+
+  const data = await requestToken(config.tokenUrl, {
+    client_id: config.clientId,
+    grant_type: 'authorization_code',
+    code: result.get('code'),
+    redirect_uri: redirectUri,
+    code_verifier: verifier,
+    ...config.tokenParams
+  });
+
+  return toCredentials(data);
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ * @param {Object} config - Provider endpoints and client
+ * @param {string} refreshToken - Refresh token from launchPkceFlow()
+ * @returns {Promise<Object>} { token, refreshToken, expiresAt }
+ */
+export async function refreshAccessToken(config, refreshToken) {
+  const data = await requestToken(config.tokenUrl, {
+    client_id: config.clientId,
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    scope: config.scope,
+    ...config.tokenParams
+  });
+
+  return toCredentials(data, refreshToken);
+}
@@ -4,122 +4,262 @@
  * Built by Avenix (https://avenix.dev)
  */
 
-import { isValidOTP } from '../utils/validators.js';
+import { getValidationFailureReason } from '../utils/validators.js';
+import { getLanguagePacks, detectLanguage } from './languages/index.js';
+import { decodeEntities, parseHtml } from './html-parser.js';
+import { stripQuotedContent } from './quote-stripper.js';
 
 /**
- * Keywords that indicate verification/authentication context
+ * Check if text has verification context for a language pack
  */
-const VERIFICATION_KEYWORDS = [
-  'verification', 'verify', 'code', 'pin', 'otp', 'passcode',
-  'confirmation', 'confirm', 'security', 'secure', 'authorization',
-  'authenticate', 'authentication', 'auth', 'login', 'log in',
-  'sign in', 'sign-in', '2fa', 'two-factor', 'two factor',
-  'one-time', 'one time', 'onetime', 'password', 'token',
-  'access code', 'temporary code', 'validation'
-];
-
-/**
- * Check if text has verification context
- */
-function hasVerificationContext(text) {
+function hasVerificationContext(text, pack) {
   const lowerText = text.toLowerCase();
-  return VERIFICATION_KEYWORDS.some(keyword => lowerText.includes(keyword));
+  return pack.keywords.some(keyword => lowerText.includes(keyword));
 }
 
 /**
  * Clean and normalize text for extraction
  */
 function cleanText(text) {
-  return text
-    .replace(/<\/?[^>]+(>|$)/g, ' ')  // Remove HTML tags
-    .replace(/&nbsp;/gi, ' ')          // Replace &nbsp;
-    .replace(/&#\d+;/g, ' ')           // Replace HTML entities
-    .replace(/\s+/g, ' ')              // Normalize whitespace
+  return decodeEntities(
+    text.replace(/<\/?[^>]+(>|$)/g, ' ')  // Remove HTML tags
+  )
+    .replace(/\s+/g, ' ')                 // Normalize whitespace
     .trim();
 }
 
+/**
+ * Known vendor prefixes that precede the actual code (e.g. "G-482913")
+ * The prefix is stripped deliberately and reported in the result
+ */
+const KNOWN_CODE_PREFIXES = {
+  G: 'Google',
+  FB: 'Facebook'
+};
+
+const PREFIX_SOURCE = `(?:${Object.keys(KNOWN_CODE_PREFIXES).join('|')})-`;
+
+/**
+ * Regex source for a labelled code token: optional vendor prefix,
+ * then a grouped code ("ABC-DEF", "123 456") or a plain 4-8 char code
+ */
+const CODE_SOURCE = `((?:${PREFIX_SOURCE})?(?:[A-Z0-9]{3,4}-[A-Z0-9]{3,4}|[A-Z0-9]{4,8}))\\b`;
+
+const PREFIX_PATTERN = new RegExp(`^(${PREFIX_SOURCE})(?=[A-Z0-9])`, 'i');
+
+/**
+ * Split a known vendor prefix off a raw code
+ */
+function stripKnownPrefix(codeString) {
+  const match = codeString.match(PREFIX_PATTERN);
+  if (!match) {
+    return { value: codeString, prefix: null };
+  }
+
+  return {
+    value: codeString.slice(match[1].length),
+    prefix: match[1].toUpperCase()
+  };
+}
+
 /**
  * Validate and clean a potential code
+ * @param {string} codeString - Raw captured code
+ * @param {Object} options - { allowAlphanumeric, tier }
+ *   allowAlphanumeric: accept letters (labelled tiers only)
+ *   tier: extraction tier, decides which validation rules apply
+ * @returns {Object|null} { code, prefix?, failure? } or null if not a code token;
+ *   failure is set when validation rejected the code
  */
-function processCode(codeString) {
+function processCode(codeString, { allowAlphanumeric = false, tier } = {}) {
   if (!codeString) return null;
 
-  // Remove non-alphanumeric characters
-  const cleaned = codeString.replace(/[^a-zA-Z0-9]/g, '');
-  const numericOnly = codeString.replace(/[^0-9]/g, '');
+  const { value, prefix } = stripKnownPrefix(codeString.trim());
+
+  // Remove separators (spaces, dashes)
+  const cleaned = value.replace(/[^a-zA-Z0-9]/g, '');
+
+  const validate = (code, allowLettersOnly = false) => {
+    const result = prefix ? { code, prefix } : { code };
+    const failure = getValidationFailureReason(code, { tier, allowLettersOnly });
+    return failure ? { ...result, failure } : result;
+  };
 
-  // Prefer numeric codes (most OTPs are numeric)
-  if (numericOnly.length >= 4 && numericOnly.length <= 8 && isValidOTP(numericOnly)) {
-    return numericOnly;
+  if (cleaned.length < 4 || cleaned.length > 8) {
+    return null;
   }
 
-  // Fall back to alphanumeric if valid
-  if (cleaned.length >= 4 && cleaned.length <= 8 && isValidOTP(cleaned)) {
-    return cleaned.toUpperCase();
+  // Numeric codes (most OTPs are numeric)
+  if (/^[0-9]+$/.test(cleaned)) {
+    return validate(cleaned);
   }
 
-  return null;
+  if (!allowAlphanumeric) {
+    return null;
+  }
+
+  // Letter-only codes must be grouped and in capitals ("ABC-DEF"),
+  // otherwise ordinary words after a label would match
+  const lettersOnly = /^[a-zA-Z]+$/.test(cleaned);
+  const grouped = /[-\s]/.test(value);
+  if (lettersOnly && (!grouped || cleaned !== cleaned.toUpperCase())) {
+    return null;
+  }
+
+  return validate(cleaned.toUpperCase(), lettersOnly);
 }
 
 /**
- * Extract OTP from email text using tiered pattern matching
+ * Base score per tier, spaced so that corroboration never reorders tiers
+ */
+const TIER_SCORES = { 1: 100, 2: 90, 3: 80, 4: 60, 5: 50, 6: 40, 7: 20 };
+
+/**
+ * Confidence level reported for each tier
+ */
+const TIER_CONFIDENCE = {
+  1: 'high', 2: 'high', 3: 'high',
+  4: 'medium', 5: 'medium', 6: 'medium',
+  7: 'low'
+};
+
+// Bonus when more than one tier found the same code
+const CORROBORATION_BONUS = 5;
+
+// Bonus for a code the HTML shows emphasised (see html-parser.js);
+// a big, bold, spaced code may outrank a weaker tier but never an explicit label
+const EMPHASIS_BONUS = { strong: 5, large: 8, spaced: 8, cell: 4 };
+const MAX_EMPHASIS_BONUS = 20;
+
+// Characters of context kept on each side of a candidate
+const SNIPPET_RADIUS = 40;
+
+/**
+ * Build a candidate record for a processed code
+ * Codes that failed validation are kept as rejected records for debugging
+ */
+function createCandidate(text, result, { tier, patternId, start, end, language }) {
+  const { failure, ...code } = result;
+  const candidate = {
+    ...code,
+    tier,
+    patternId,
+    index: start,
+    snippet: text.substring(Math.max(0, start - SNIPPET_RADIUS), Math.min(text.length, end + SNIPPET_RADIUS)),
+    score: failure ? 0 : TIER_SCORES[tier],
+    confidence: TIER_CONFIDENCE[tier],
+    language
+  };
+
+  return failure
+    ? { ...candidate, rejected: true, rule: failure.rule, reason: failure.reason }
+    : candidate;
+}
+
+/**
+ * Collect every code matched by a list of patterns
+ * Capture group 1 holds the code; all matches of a pattern are tried
  */
-export function extractOTP(text) {
+function collectPatternCandidates(text, patterns, { tier, idPrefix, language, allowAlphanumeric = false }) {
+  const candidates = [];
+
+  patterns.forEach((pattern, patternIndex) => {
+    const flags = pattern.flags.replace(/[gd]/g, '') + 'gd';
+
+    for (const match of text.matchAll(new RegExp(pattern.source, flags))) {
+      if (!match[1]) continue;
+
+      const result = processCode(match[1], { allowAlphanumeric, tier });
+      if (result) {
+        const [start, end] = match.indices[1];
+        candidates.push(createCandidate(text, result, {
+          tier,
+          patternId: `${idPrefix}:${patternIndex}`,
+          start,
+          end,
+          language
+        }));
+      }
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Rank candidates by score; codes found by several tiers get a bonus
+ * Ties keep discovery order (tier, language, pattern, position)
+ */
+function rankCandidates(candidates) {
+  const tiersByCode = new Map();
+  for (const candidate of candidates) {
+    if (!tiersByCode.has(candidate.code)) {
+      tiersByCode.set(candidate.code, new Set());
+    }
+    tiersByCode.get(candidate.code).add(candidate.tier);
+  }
+
+  return candidates
+    .map(candidate => (
+      tiersByCode.get(candidate.code).size > 1
+        ? { ...candidate, score: candidate.score + CORROBORATION_BONUS }
+        : candidate
+    ))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Collect every OTP candidate in email text, ranked best first
+ * @param {string} text - Email text
+ * @param {Object} options - { language, includeRejected }
+ *   language: preferred language tag
+ *   includeRejected: append codes that failed validation, with rule and reason
+ * @returns {Array<Object>} Candidates with tier, patternId, index, snippet, score
+ */
+export function extractOTPCandidates(text, { language, includeRejected = false } = {}) {
   if (!text || typeof text !== 'string') {
-    return null;
+    return [];
   }
 
   const clean = cleanText(text);
 
-  // Require verification context
-  if (!hasVerificationContext(clean)) {
-    return null;
+  // Require verification context in at least one language
+  const packs = getLanguagePacks(language || detectLanguage(clean))
+    .filter(pack => hasVerificationContext(clean, pack));
+
+  if (packs.length === 0) {
+    return [];
   }
 
-  // ========== TIER 1: Explicit labels (highest confidence) ==========
-  const explicitPatterns = [
-    // "verification code is 123456", "confirmation code: 789012"
-    /(?:verification|confirmation|security|auth(?:entication)?|one[- ]?time|2fa|two[- ]?factor|temporary)\s*code\s*(?:is|:|=|:)\s*([0-9]{4,8})/i,
-    // "your code is 123456", "the code is 789012"
-    /(?:your|the)\s+(?:verification\s+|security\s+|one[- ]?time\s+)?(?:code|otp|pin|passcode)\s*(?:is|:|=)\s*([0-9]{4,8})/i,
-    // "code: 123456", "OTP: 789012", "PIN: 1234"
-    /\b(?:code|pin|otp|passcode)\s*[:=]\s*([0-9]{4,8})\b/i,
-    // "use code 123456", "enter code 789012"
-    /(?:use|enter|input|type)\s+(?:this\s+|the\s+)?(?:code|otp|pin)\s*[:=]?\s*([0-9]{4,8})/i,
-    // "123456 is your code"
-    /\b([0-9]{4,8})\s+is\s+your\s+(?:verification\s+|security\s+)?(?:code|otp|pin)/i,
-    // "here is your code: 123456"
-    /here\s+is\s+(?:your\s+)?(?:code|otp|pin)\s*[:=]?\s*([0-9]{4,8})/i,
-    // "code to verify: 123456"
-    /code\s+to\s+(?:verify|confirm|complete|access)\s*[:=]?\s*([0-9]{4,8})/i
-  ];
+  // Language-neutral tiers report the best matching context language
+  const contextLanguage = packs[0].id;
+  const candidates = [];
 
-  for (const pattern of explicitPatterns) {
-    const match = clean.match(pattern);
-    if (match && match[1]) {
-      const code = processCode(match[1]);
-      if (code) {
-        return { code, confidence: 'high' };
-      }
-    }
+  // ========== TIER 1: Explicit labels (highest confidence) ==========
+  for (const pack of packs) {
+    candidates.push(...collectPatternCandidates(clean, pack.explicitPatterns(CODE_SOURCE), {
+      tier: 1,
+      idPrefix: `${pack.id}:explicit`,
+      language: pack.id,
+      allowAlphanumeric: true
+    }));
   }
 
   // ========== TIER 2: Formatted codes with labels ==========
-  const formattedPatterns = [
-    // "code: 123-456" or "code: 123 456"
-    /\b(?:code|pin|otp|passcode)\s*[:=]?\s*([0-9]{3}[-\s][0-9]{3})\b/i,
-    // "code: 12-34-56"
-    /\b(?:code|pin|otp|passcode)\s*[:=]?\s*([0-9]{2}[-\s][0-9]{2}[-\s][0-9]{2})\b/i
-  ];
-
-  for (const pattern of formattedPatterns) {
-    const match = clean.match(pattern);
-    if (match && match[1]) {
-      const code = processCode(match[1]);
-      if (code) {
-        return { code, confidence: 'high' };
-      }
-    }
+  for (const pack of packs) {
+    const formattedPatterns = [
+      // "code: 123-456", "code: 123 456" or "code: ABC-DEF"
+      new RegExp(`(?<![a-z])(?:${pack.labels})\\s*[:=：]?\\s*([A-Z0-9]{3}[-\\s][A-Z0-9]{3})\\b`, 'i'),
+      // "code: 12-34-56"
+      new RegExp(`(?<![a-z])(?:${pack.labels})\\s*[:=：]?\\s*([0-9]{2}[-\\s][0-9]{2}[-\\s][0-9]{2})\\b`, 'i')
+    ];
+
+    candidates.push(...collectPatternCandidates(clean, formattedPatterns, {
+      tier: 2,
+      idPrefix: `${pack.id}:formatted`,
+      language: pack.id,
+      allowAlphanumeric: true
+    }));
   }
 
   // ========== TIER 3: Quoted/emphasized codes ==========
@@ -132,45 +272,19 @@ export function extractOTP(text) {
     /(?:code|otp|pin|verification)[^0-9]{0,30}\[([0-9]{4,8})\]/i
   ];
 
-  for (const pattern of quotedPatterns) {
-    const match = clean.match(pattern);
-    if (match && match[1]) {
-      const code = processCode(match[1]);
-      if (code) {
-        return { code, confidence: 'high' };
-      }
-    }
-  }
+  candidates.push(...collectPatternCandidates(clean, quotedPatterns, {
+    tier: 3,
+    idPrefix: 'quoted',
+    language: contextLanguage
+  }));
 
   // ========== TIER 4: Context proximity (code near keywords) ==========
-  const contextPatterns = [
-    // "use this code to..." followed by code
-    /(?:use\s+)?this\s+code[\s\S]{1,300}?\b([0-9]{4,8})\b/i,
-    // "enter the code..." followed by code
-    /enter\s+(?:the\s+)?(?:following\s+)?code[\s\S]{1,300}?\b([0-9]{4,8})\b/i,
-    // "code will expire..." (code often comes before or after)
-    /\b([0-9]{4,8})\b[\s\S]{1,100}?(?:will\s+)?expire/i,
-    /expire[\s\S]{1,100}?\b([0-9]{4,8})\b/i,
-    // "sign in" followed by code
-    /sign\s*(?:in|up)[\s\S]{1,250}?\b([0-9]{4,8})\b/i,
-    // "log in" followed by code
-    /log\s*in[\s\S]{1,250}?\b([0-9]{4,8})\b/i,
-    // Verification with larger window
-    /verification[\s\S]{1,200}?\b([0-9]{4,8})\b/i,
-    // "one-time" followed by code
-    /one[- ]?time[\s\S]{1,150}?\b([0-9]{4,8})\b/i,
-    // Generic "code" with nearby number
-    /\bcode\b[^0-9]{1,50}([0-9]{4,8})\b/i
-  ];
-
-  for (const pattern of contextPatterns) {
-    const match = clean.match(pattern);
-    if (match && match[1]) {
-      const code = processCode(match[1]);
-      if (code) {
-        return { code, confidence: 'medium' };
-      }
-    }
+  for (const pack of packs) {
+    candidates.push(...collectPatternCandidates(clean, pack.contextPatterns, {
+      tier: 4,
+      idPrefix: `${pack.id}:context`,
+      language: pack.id
+    }));
   }
 
   // ========== TIER 5: Standalone formatted codes ==========
@@ -180,56 +294,341 @@ export function extractOTP(text) {
     /\b([0-9]{4}[-\s][0-9]{4})\b/
   ];
 
-  for (const pattern of standaloneFormatted) {
-    const match = clean.match(pattern);
-    if (match && match[1]) {
-      const code = processCode(match[1]);
-      if (code) {
-        return { code, confidence: 'medium' };
-      }
-    }
-  }
+  candidates.push(...collectPatternCandidates(clean, standaloneFormatted, {
+    tier: 5,
+    idPrefix: 'standalone',
+    language: contextLanguage
+  }));
 
   // ========== TIER 6: Smart context extraction ==========
   // Look for codes near priority keywords with validation
-  const priorityPhrases = [
-    'this code', 'your code', 'the code', 'enter code', 'use code',
-    'verification code', 'confirmation code', 'security code',
-    'one-time code', 'access code', 'login code', 'otp'
-  ];
-
   const lowerClean = clean.toLowerCase();
-  for (const phrase of priorityPhrases) {
-    const index = lowerClean.indexOf(phrase);
-    if (index !== -1) {
+  for (const pack of packs) {
+    pack.proximityPhrases.forEach((phrase, phraseIndex) => {
+      const index = lowerClean.indexOf(phrase);
+      if (index === -1) return;
+
       // Search in a window after the phrase
       const searchWindow = clean.substring(index, Math.min(clean.length, index + 400));
-      const matches = searchWindow.match(/\b([0-9]{4,8})\b/g);
-
-      if (matches) {
-        for (const match of matches) {
-          const code = processCode(match);
-          if (code) {
-            return { code, confidence: 'medium' };
-          }
+
+      for (const match of searchWindow.matchAll(/\b([0-9]{4,8})\b/g)) {
+        const result = processCode(match[1], { tier: 6 });
+        if (result) {
+          const start = index + match.index;
+          candidates.push(createCandidate(clean, result, {
+            tier: 6,
+            patternId: `${pack.id}:proximity:${phraseIndex}`,
+            start,
+            end: start + match[1].length,
+            language: pack.id
+          }));
         }
       }
-    }
+    });
   }
 
   // ========== TIER 7: Generic fallback by length priority ==========
   // 6-digit codes are most common, then 4, 5, 8
   const fallbackLengths = [6, 4, 5, 8];
 
-  for (const len of fallbackLengths) {
-    const pattern = new RegExp(`\\b([0-9]{${len}})\\b`, 'g');
-    const matches = [...clean.matchAll(pattern)];
+  candidates.push(...collectPatternCandidates(
+    clean,
+    fallbackLengths.map(len => new RegExp(`\\b([0-9]{${len}})\\b`)),
+    { tier: 7, idPrefix: 'fallback', language: contextLanguage }
+  ));
+
+  const ranked = rankCandidates(candidates.filter(c => !c.rejected));
+  return includeRejected ? [...ranked, ...candidates.filter(c => c.rejected)] : ranked;
+}
+
+/**
+ * Check if an emphasised fragment shows a candidate's code
+ * Matches the whole fragment ("482 913") or one of its words ("Code: 482913")
+ */
+function fragmentShowsCode(fragment, { code, prefix }) {
+  const compact = fragment.text.replace(/[\s-]/g, '').toUpperCase();
+  if (compact === code || (prefix && compact === prefix.replace(/-/g, '') + code)) {
+    return true;
+  }
+
+  return fragment.text.toUpperCase().split(/[^A-Z0-9]+/).includes(code);
+}
+
+/**
+ * Score bonus for a code that is visually emphasised in the HTML
+ * @param {Object} candidate - Ranked candidate
+ * @param {Array<Object>} emphasis - Fragments from parseHtml()
+ * @returns {number} Bonus (0 when not emphasised)
+ */
+function getEmphasisBonus(candidate, emphasis) {
+  let best = 0;
+
+  for (const fragment of emphasis) {
+    if (!fragmentShowsCode(fragment, candidate)) continue;
+
+    const bonus = Object.keys(EMPHASIS_BONUS)
+      .filter(feature => fragment[feature])
+      .reduce((sum, feature) => sum + EMPHASIS_BONUS[feature], 0);
+    best = Math.max(best, Math.min(MAX_EMPHASIS_BONUS, bonus));
+  }
+
+  return best;
+}
+
+/**
+ * Apply emphasis bonuses and re-rank
+ */
+function applyEmphasis(candidates, emphasis) {
+  if (emphasis.length === 0) return candidates;
+
+  return candidates
+    .map(candidate => {
+      const bonus = candidate.rejected ? 0 : getEmphasisBonus(candidate, emphasis);
+      return bonus ? { ...candidate, score: candidate.score + bonus, emphasisBonus: bonus } : candidate;
+    })
+    .sort((a, b) => b.score - a.score);
+}
 
-    for (const match of matches) {
-      if (match[1]) {
-        const code = processCode(match[1]);
-        if (code) {
-          return { code, confidence: 'low' };
+/**
+ * Reduce a candidate to the public extraction result
+ */
+function toResult(candidate) {
+  const { code, prefix, confidence, language, tier } = candidate;
+  return prefix
+    ? { code, prefix, confidence, language, tier }
+    : { code, confidence, language, tier };
+}
+
+/**
+ * Extract OTP from email text using tiered pattern matching
+ * @param {string} text - Email text
+ * @param {Object} options - { language } preferred language tag
+ * @returns {Object|null} { code, confidence, language, tier, prefix? }
+ */
+export function extractOTP(text, options = {}) {
+  const [top] = extractOTPCandidates(text, options);
+  return top ? toResult(top) : null;
+}
+
+/**
+ * Anchor text keywords that indicate a verification/magic link
+ */
+const LINK_TEXT_KEYWORDS = [
+  'verify', 'verification', 'confirm', 'activate', 'magic link',
+  'sign in', 'sign-in', 'log in', 'login', 'authenticate',
+  'approve', 'validate', 'continue', 'click here', 'complete'
+];
+
+/**
+ * URL path/query keywords that indicate a verification/magic link
+ */
+const LINK_URL_KEYWORDS = [
+  'verify', 'verification', 'confirm', 'activate', 'magic',
+  'signin', 'sign-in', 'sign_in', 'login', 'auth', 'token',
+  'validate', 'approve', 'otp'
+];
+
+/**
+ * Keywords that mark a link as unsubscribe/footer/social noise
+ */
+const LINK_NEGATIVE_KEYWORDS = [
+  'unsubscribe', 'preferences', 'privacy', 'terms', 'help',
+  'support', 'contact', 'view in browser', 'view online',
+  'manage', 'report', 'learn more', 'facebook', 'twitter',
+  'linkedin', 'instagram', 'youtube', 'download', 'app store',
+  'google play'
+];
+
+/**
+ * Hosts commonly used for click tracking by mailing services
+ */
+const TRACKING_HOST_PATTERNS = [
+  /^click\./, /^clicks\./, /^track(ing)?\./, /^links?\./, /^email\./,
+  /list-manage\.com$/, /sendgrid\.net$/, /mandrillapp\.com$/,
+  /mailchimp\.com$/, /hubspotlinks\.com$/, /mailgun\.org$/
+];
+
+// Minimum score for a link to be reported as a verification link
+const MIN_LINK_SCORE = 30;
+
+/**
+ * Collect candidate links: HTML anchors (from parseHtml) or bare URLs in text
+ * @param {string} text - Text the links must come from
+ * @param {Array<Object>} anchors - [{ url, text }] anchors shown in that text
+ */
+function collectLinks(text, anchors = []) {
+  // HTML anchors: keep the visible text for ranking
+  if (anchors.length > 0) {
+    return anchors.map(anchor => ({ url: anchor.url, text: cleanText(anchor.text), context: '' }));
+  }
+
+  // Bare URLs (plain text parts): use preceding text as context
+  const clean = cleanText(text);
+  const urlPattern = /https?:\/\/[^\s<>"')\]]+/g;
+  return [...clean.matchAll(urlPattern)].map(match => ({
+    url: match[0].replace(/[.,;:!?]+$/, ''),
+    text: '',
+    context: clean.substring(Math.max(0, match.index - 100), match.index)
+  }));
+}
+
+/**
+ * Score a link for likelihood of being a verification/magic link
+ */
+function scoreLink(link, index, total) {
+  let url;
+  try {
+    url = new URL(link.url);
+  } catch {
+    return -Infinity;
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return -Infinity;
+  }
+
+  let score = 0;
+  const text = link.text.toLowerCase();
+  const context = link.context.toLowerCase();
+  const target = (url.pathname + url.search).toLowerCase();
+  const host = url.hostname.toLowerCase();
+
+  if (LINK_TEXT_KEYWORDS.some(k => text.includes(k))) score += 30;
+  if (LINK_TEXT_KEYWORDS.some(k => context.includes(k))) score += 20;
+  if (LINK_URL_KEYWORDS.some(k => target.includes(k))) score += 20;
+
+  // Long opaque query values are typical for one-time tokens
+  for (const value of url.searchParams.values()) {
+    if (value.length >= 16) {
+      score += 10;
+      break;
+    }
+  }
+
+  if (LINK_NEGATIVE_KEYWORDS.some(k => text.includes(k) || target.includes(k.replace(/\s+/g, '')))) {
+    score -= 50;
+  }
+
+  if (TRACKING_HOST_PATTERNS.some(p => p.test(host))) score -= 10;
+  if (url.protocol === 'http:') score -= 10;
+
+  // Footer links live in the last quarter of the message
+  if (total > 3 && index >= Math.floor(total * 0.75)) score -= 15;
+
+  return score;
+}
+
+/**
+ * Extract a verification/magic link from email content
+ * @param {string} content - Body text (quoted replies and footers already stripped)
+ * @param {Array<Object>} anchors - HTML anchors within that text ({ url, text } from parseHtml);
+ *   without them bare URLs in the text are used
+ * @returns {Object|null} Link result with confidence level
+ */
+export function extractVerificationLink(content, anchors = []) {
+  if (!content || typeof content !== 'string') {
+    return null;
+  }
+
+  const clean = cleanText(content);
+  if (!getLanguagePacks().some(pack => hasVerificationContext(clean, pack))) {
+    return null;
+  }
+
+  const links = collectLinks(content, anchors);
+  let best = null;
+
+  links.forEach((link, index) => {
+    const score = scoreLink(link, index, links.length);
+    if (score >= MIN_LINK_SCORE && (!best || score > best.score)) {
+      best = { url: link.url, score };
+    }
+  });
+
+  if (!best) return null;
+
+  return {
+    type: 'link',
+    url: best.url,
+    confidence: best.score >= 50 ? 'high' : 'medium'
+  };
+}
+
+// Expiry durations outside this range are treated as noise
+const MIN_EXPIRY_SECONDS = 30;
+const MAX_EXPIRY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Convert a duration unit word (any language) to seconds
+ */
+function unitToSeconds(unit) {
+  const lower = unit.toLowerCase();
+
+  // Check hours first: German "Stunde" starts with "s"
+  if (/^(?:h|stunde|時間|小时|小時)/.test(lower)) return 3600;
+  if (/^(?:m|分)/.test(lower)) return 60;
+  if (/^(?:s|秒)/.test(lower)) return 1;
+
+  return null;
+}
+
+/**
+ * Resolve a clock time ("until 14:30") to a timestamp after receivedAt
+ */
+function resolveClockTime({ hour, minute, meridiem, zone }, receivedAt) {
+  let hours = parseInt(hour, 10);
+  const minutes = parseInt(minute, 10);
+
+  if (meridiem) {
+    const isPM = meridiem.toLowerCase().startsWith('p');
+    hours = (hours % 12) + (isPM ? 12 : 0);
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+
+  const date = new Date(receivedAt);
+  if (zone) {
+    date.setUTCHours(hours, minutes, 0, 0);
+  } else {
+    date.setHours(hours, minutes, 0, 0);
+  }
+
+  // "until 00:15" sent at 23:50 means the next day
+  if (date.getTime() <= receivedAt) {
+    date.setDate(date.getDate() + 1);
+  }
+
+  const expiresAt = date.getTime();
+  return expiresAt - receivedAt <= MAX_EXPIRY_SECONDS * 1000 ? expiresAt : null;
+}
+
+/**
+ * Parse how long a code stays valid ("expires in 10 minutes")
+ * @param {string} text - Email text
+ * @param {Object} options - { language, receivedAt } receivedAt in ms
+ * @returns {Object|null} { expiresAt, expiresIn? } expiresIn in seconds
+ */
+export function extractExpiry(text, { language, receivedAt = Date.now() } = {}) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const clean = cleanText(text);
+
+  for (const pack of getLanguagePacks(language || detectLanguage(clean))) {
+    for (const pattern of pack.expiryPatterns || []) {
+      const groups = clean.match(pattern)?.groups;
+      if (!groups) continue;
+
+      if (groups.amount && groups.unit) {
+        const seconds = parseInt(groups.amount, 10) * (unitToSeconds(groups.unit) || 0);
+        if (seconds >= MIN_EXPIRY_SECONDS && seconds <= MAX_EXPIRY_SECONDS) {
+          return { expiresAt: receivedAt + seconds * 1000, expiresIn: seconds };
+        }
+      } else if (groups.hour && groups.minute) {
+        const expiresAt = resolveClockTime(groups, receivedAt);
+        if (expiresAt) {
+          return { expiresAt };
         }
       }
     }
@@ -238,26 +637,72 @@ export function extractOTP(text) {
   return null;
 }
 
+/**
+ * Drop anchors shown only in stripped text (quoted replies, forwards, footers)
+ * parseHtml already leaves out anchors in quote and signature containers;
+ * anchors without text cannot be placed and are kept
+ * @param {Array<Object>} anchors - [{ url, text }] from parseHtml()
+ * @param {string} content - Kept body text
+ * @param {Array<Object>} stripped - Regions from stripQuotedContent()
+ */
+function keptAnchors(anchors, content, stripped) {
+  const kept = cleanText(content);
+  const removed = stripped.map(region => cleanText(region.text));
+
+  return anchors.filter(anchor => {
+    const text = cleanText(anchor.text);
+    return !text || kept.includes(text) || !removed.some(region => region.includes(text));
+  });
+}
+
 /**
  * Extract OTP from email subject and body combined
  * Subject gets priority as codes are often there
+ * Quoted replies, forwarded mail and footers are stripped from the body first
+ * Falls back to a verification link when no code is present
+ * @param {string} subject - Subject line
+ * @param {string} body - Body text
+ * @param {string} html - Raw HTML body (optional; codes it shows emphasised rank higher)
+ * @param {Object} options - { language, receivedAt, withCandidates }
+ *   language: the message's Content-Language
+ *   receivedAt: when the message arrived (ms), anchors expiry times
+ *   withCandidates: attach every ranked candidate, rejected ones and stripped regions to the result
  */
-export function extractOTPFromEmail(subject, body) {
-  // Try subject first (often contains the code directly)
-  if (subject) {
-    // Subjects usually have the code with explicit labels
-    const subjectResult = extractOTP(subject);
-    if (subjectResult) {
-      return { ...subjectResult, source: 'subject' };
+export function extractOTPFromEmail(subject, body, html = '', options = {}) {
+  const candidateOptions = { ...options, includeRejected: !!options.withCandidates };
+
+  // Visible HTML text stands in for a missing plain text body
+  const { text: htmlText, emphasis, removed, links } = parseHtml(html);
+  const { text: content, stripped } = stripQuotedContent(body || htmlText, options);
+  body = content;
+
+  // Subject candidates come first (subjects usually have explicit labels)
+  const allCandidates = [
+    ...extractOTPCandidates(subject, candidateOptions).map(c => ({ ...c, source: 'subject' })),
+    ...applyEmphasis(extractOTPCandidates(body, candidateOptions), emphasis).map(c => ({ ...c, source: 'body' }))
+  ];
+  const candidates = allCandidates.filter(c => !c.rejected);
+
+  const expiry = extractExpiry(`${subject || ''} ${body || ''}`, options);
+
+  if (candidates.length > 0) {
+    const [top] = candidates;
+    const result = { type: 'code', ...toResult(top), ...expiry, source: top.source };
+
+    if (options.withCandidates) {
+      result.candidates = candidates;
+      result.rejected = allCandidates.filter(c => c.rejected);
+      result.stripped = [...removed, ...stripped];
     }
+
+    return result;
   }
 
-  // Then try body
-  if (body) {
-    const bodyResult = extractOTP(body);
-    if (bodyResult) {
-      return { ...bodyResult, source: 'body' };
-    }
+  // No code - look for a magic link (HTML anchors preferred) in the kept text only
+  const linkSource = html ? stripQuotedContent(htmlText, options) : { text: body, stripped };
+  const linkResult = extractVerificationLink(linkSource.text, keptAnchors(links, linkSource.text, linkSource.stripped));
+  if (linkResult) {
+    return { ...linkResult, ...expiry, source: 'body' };
   }
 
   return null;
@@ -0,0 +1,68 @@
+/**
+ * Processed Messages
+ * IDs of messages already scanned, so a sync never extracts one twice
+ * Built by Avenix (https://avenix.dev)
+ */
+
+// Message IDs identify emails - kept in session storage, never on disk
+const PROCESSED_KEY = 'avenix_processed_messages';
+
+// Number of processed message IDs remembered per mailbox
+const MAX_PROCESSED_IDS = 200;
+
+/**
+ * Load all processed ID lists
+ * @returns {Promise<Object>} sync key -> [messageId]
+ */
+async function getAllProcessedIds() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(PROCESSED_KEY, (result) => {
+      resolve(result[PROCESSED_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Store all processed ID lists
+ */
+async function setAllProcessedIds(lists) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ [PROCESSED_KEY]: lists }, resolve);
+  });
+}
+
+/**
+ * Get the IDs processed for a mailbox
+ * @param {string} syncKey - Provider sync key of the mailbox
+ * @returns {Promise<Array<string>>} Message IDs, oldest first
+ */
+export async function getProcessedIds(syncKey) {
+  return (await getAllProcessedIds())[syncKey] || [];
+}
+
+/**
+ * Remember extracted message IDs for a mailbox
+ * @param {string} syncKey - Provider sync key of the mailbox
+ * @param {Array<string>} messageIds - IDs that were extracted
+ */
+export async function addProcessedIds(syncKey, messageIds = []) {
+  const lists = await getAllProcessedIds();
+  lists[syncKey] = [...(lists[syncKey] || []), ...messageIds].slice(-MAX_PROCESSED_IDS);
+  await setAllProcessedIds(lists);
+}
+
+/**
+ * Forget the processed IDs of one mailbox, or of all without a key
+ * @param {string} syncKey - Provider sync key of the mailbox (optional)
+ */
+export async function clearProcessedIds(syncKey) {
+  if (!syncKey) {
+    return new Promise((resolve) => {
+      chrome.storage.session.remove(PROCESSED_KEY, resolve);
+    });
+  }
+
+  const lists = await getAllProcessedIds();
+  delete lists[syncKey];
+  await setAllProcessedIds(lists);
+}
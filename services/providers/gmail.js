@@ -0,0 +1,143 @@
+/**
+ * Gmail Provider
+ * Mail provider backed by the Gmail API
+ * Built by Avenix (https://avenix.dev)
+ */
+
+import {
+  getAuthToken,
+  removeCachedToken,
+  revokePrimaryAuth,
+  revokeToken,
+  launchWebAuth,
+  refreshWebAuth,
+  getProfile,
+  getNewMessages,
+  commitSync,
+  resetSync,
+  getMessage,
+  extractMessageContent,
+  getMessageSubject,
+  getMessageSender,
+  getMessageLanguage,
+  getMessageAuthentication
+} from '../gmail-api.js';
+import { isRetryableError } from '../request.js';
+
+/**
+ * Account types
+ * profile: the primary Google account (getAuthToken - Chrome profile account,
+ *   or the web auth flow with stored refresh token on Firefox)
+ * web: any other Google account (web auth flow, tokens kept by the account registry)
+ */
+const ACCOUNT_TYPES = {
+  PROFILE: 'profile',
+  WEB: 'web'
+};
+
+export const gmailProvider = {
+  id: 'gmail',
+  name: 'Gmail',
+
+  /**
+   * Connect a Google account
+   * @param {Object} options - { profile, interactive }
+   *   profile: use the browser profile's account instead of the account chooser
+   */
+  async connect({ profile = false, interactive = true } = {}) {
+    if (profile) {
+      const token = await getAuthToken(interactive);
+      const { emailAddress } = await getProfile(token);
+      // getAuthToken caches primary account tokens itself
+      return { email: emailAddress, type: ACCOUNT_TYPES.PROFILE, credentials: null };
+    }
+
+    const credentials = await launchWebAuth({ interactive });
+    const { emailAddress } = await getProfile(credentials.token);
+    return { email: emailAddress, type: ACCOUNT_TYPES.WEB, credentials };
+  },
+
+  /**
+   * Get fresh credentials for an account whose cached token is missing or expired
+   */
+  async getToken(account, credentials, { interactive = false } = {}) {
+    if (account.type === ACCOUNT_TYPES.PROFILE) {
+      return { token: await getAuthToken(interactive) };
+    }
+
+    if (credentials?.refreshToken) {
+      try {
+        return await refreshWebAuth(credentials.refreshToken);
+      } catch (error) {
+        // A refused grant falls back to the web flow; anything else is retried later
+        if (isRetryableError(error)) throw error;
+        console.warn('[Avenix OTP] Gmail token refresh failed:', error.message);
+      }
+    }
+
+    // Renew silently while the Google session for this account is alive
+    return launchWebAuth({ interactive, loginHint: account.email });
+  },
+
+  /**
+   * Forget a token the API rejected
+   */
+  async invalidateToken(account, token) {
+    if (account.type === ACCOUNT_TYPES.PROFILE) {
+      await removeCachedToken(token);
+    }
+  },
+
+  /**
+   * Revoke the account's grant when it is removed
+   */
+  async disconnect(account, credentials) {
+    if (account.type !== ACCOUNT_TYPES.PROFILE) {
+      await revokeToken(credentials?.refreshToken || credentials?.token);
+      return;
+    }
+
+    let token = null;
+    try {
+      token = await getAuthToken(false);
+    } catch {
+      // Ignore errors during logout
+    }
+
+    await revokePrimaryAuth(token);
+  },
+
+  async listNewMessages(token, { maxResults = 5, accountId, settings } = {}) {
+    const { messages, historyId, query } = await getNewMessages(token, maxResults, accountId, settings);
+    return { messages, cursor: historyId, query };
+  },
+
+  async commitSync(cursor, messageIds, accountId) {
+    return commitSync(cursor, messageIds, accountId);
+  },
+
+  async resetSync(accountId) {
+    return resetSync(accountId);
+  },
+
+  /**
+   * Fetch a message and normalize it for extraction
+   * @returns {Promise<Object>} { id, subject, sender, body, html, language, authentication, receivedAt }
+   */
+  async getMessage(token, messageId) {
+    const message = await getMessage(token, messageId);
+    const { payload } = message;
+    const { text, html } = extractMessageContent(payload);
+
+    return {
+      id: message.id || messageId,
+      subject: getMessageSubject(payload),
+      sender: getMessageSender(payload),
+      body: text,
+      html,
+      language: getMessageLanguage(payload),
+      authentication: getMessageAuthentication(payload),
+      receivedAt: Number(message.internalDate) || Date.now()
+    };
+  }
+};
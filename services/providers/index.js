@@ -0,0 +1,60 @@
+/**
+ * Mail Providers
+ * Registry of mailbox backends used by the background checker
+ * Built by Avenix (https://avenix.dev)
+ *
+ * A provider is an object with:
+ *   id, name                      - identifier and display name
+ *   connect(options)              - authenticate; resolves { email, type, credentials }
+ *                                   (credentials null when the browser caches the token)
+ *   getToken(account, credentials, { interactive })
+ *                                 - renew an expired token; resolves { token, expiresAt?, refreshToken? }
+ *   invalidateToken(account, token) - optional, forget a token the API rejected
+ *   disconnect(account, credentials) - optional, revoke the grant on removal
+ *   listNewMessages(token, { maxResults, accountId, settings })
+ *                                 - resolves { messages: [{ id }] (newest first), cursor, query }
+ *                                   (settings from services/settings.js; query for diagnostics)
+ *   commitSync(cursor, messageIds, accountId) - save the cursor once messages are handled
+ *   resetSync(accountId)          - forget the cursor
+ *   getMessage(token, messageId)  - resolves { id, subject, sender, body, html, language,
+ *                                   authentication, receivedAt } (authentication from mail-auth.js)
+ *
+ * API calls reject with Error('TOKEN_EXPIRED') when the token is refused.
+ */
+
+import { gmailProvider } from './gmail.js';
+import { outlookProvider } from './outlook.js';
+
+const providers = new Map();
+
+/**
+ * Register a mail provider (replaces one with the same id)
+ * @param {Object} provider - Provider object
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get a provider by id
+ * @param {string} id - Provider id (defaults to Gmail)
+ * @returns {Object} Provider
+ */
+export function getProvider(id = gmailProvider.id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown mail provider: ${id}`);
+  }
+  return provider;
+}
+
+/**
+ * List registered providers
+ * @returns {Array<Object>} [{ id, name }]
+ */
+export function listProviders() {
+  return [...providers.values()].map(({ id, name }) => ({ id, name }));
+}
+
+registerProvider(gmailProvider);
+registerProvider(outlookProvider);
@@ -0,0 +1,216 @@
+/**
+ * Outlook Provider
+ * Mail provider backed by Microsoft Graph (/me/messages)
+ * Built by Avenix (https://avenix.dev)
+ */
+
+import { launchPkceFlow, refreshAccessToken } from '../oauth.js';
+import { requestJson, isRetryableError } from '../request.js';
+import { htmlToText } from '../html-parser.js';
+import { getAuthenticationVerdict } from '../mail-auth.js';
+import { getProcessedIds, addProcessedIds, clearProcessedIds } from '../processed-messages.js';
+
+const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
+const MICROSOFT_AUTH_BASE = 'https://login.microsoftonline.com/common/oauth2/v2.0';
+
+// Azure app registration (single-page application platform, redirect URI
+// https://<extension-id>.chromiumapp.org/) - see README "Microsoft 365 / Outlook"
+const MICROSOFT_CLIENT_ID = 'YOUR_MICROSOFT_CLIENT_ID';
+const MICROSOFT_SCOPE = 'openid email offline_access https://graph.microsoft.com/Mail.Read https://graph.microsoft.com/User.Read';
+
+// Incremental sync state (receive-time cursor); processed message IDs are
+// session-only (see processed-messages.js)
+const SYNC_KEY = 'avenix_graph_sync';
+
+// First check lookback when no settings are passed (see settings.DEFAULT_SETTINGS)
+const DEFAULT_LOOKBACK_MINUTES = 10;
+
+/**
+ * Build an OData query string (spaces as %20 - Graph does not read "+")
+ * @param {Object} params - Query parameters
+ */
+function buildQuery(params) {
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+/**
+ * Format a Graph recipient like a From header
+ * @param {Object} recipient - { emailAddress: { name, address } }
+ */
+function formatSender(recipient) {
+  const { name, address } = recipient?.emailAddress || {};
+  if (!address) return name || '';
+  return name && name !== address ? `${name} <${address}>` : address;
+}
+
+/**
+ * Create an Outlook provider
+ * Endpoints can be pointed at a local mock server
+ * @param {Object} options - { apiBase, authBase, clientId }
+ * @returns {Object} Mail provider
+ */
+export function createOutlookProvider({
+  apiBase = GRAPH_API_BASE,
+  authBase = MICROSOFT_AUTH_BASE,
+  clientId = MICROSOFT_CLIENT_ID
+} = {}) {
+  const oauthConfig = {
+    authUrl: `${authBase}/authorize`,
+    tokenUrl: `${authBase}/token`,
+    clientId,
+    scope: MICROSOFT_SCOPE
+  };
+
+  /**
+   * Perform an authenticated GET against Microsoft Graph
+   * Retries transient failures; errors carry a category (see request.js)
+   * @param {string} token - OAuth access token
+   * @param {string} path - Path below the API base, including query
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async function fetchGraph(token, path) {
+    return requestJson(token, `${apiBase}${path}`, { service: 'Graph API' });
+  }
+
+  /**
+   * Get the signed-in mailbox address
+   */
+  async function getMailboxAddress(token) {
+    const me = await fetchGraph(token, '/me?$select=mail,userPrincipalName');
+    return me.mail || me.userPrincipalName;
+  }
+
+  /**
+   * Load incremental sync state from storage
+   */
+  async function getSyncState(accountId) {
+    const key = `${SYNC_KEY}:${accountId}`;
+    return new Promise((resolve) => {
+      chrome.storage.local.get(key, (result) => {
+        resolve({ since: result[key]?.since || null });
+      });
+    });
+  }
+
+  /**
+   * Save incremental sync state to storage
+   */
+  async function setSyncState(accountId, syncState) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [`${SYNC_KEY}:${accountId}`]: syncState }, resolve);
+    });
+  }
+
+  return {
+    id: 'outlook',
+    name: 'Outlook',
+
+    /**
+     * Connect a Microsoft account through the account chooser
+     */
+    async connect({ interactive = true } = {}) {
+      const credentials = await launchPkceFlow(oauthConfig, { interactive });
+      const email = await getMailboxAddress(credentials.token);
+      return { email, type: 'web', credentials };
+    },
+
+    /**
+     * Get fresh credentials, preferring the refresh token
+     */
+    async getToken(account, credentials, { interactive = false } = {}) {
+      if (credentials?.refreshToken) {
+        try {
+          return await refreshAccessToken(oauthConfig, credentials.refreshToken);
+        } catch (error) {
+          // A refused grant falls back to the web flow; anything else is retried later
+          if (isRetryableError(error)) throw error;
+          console.warn('[Avenix OTP] Outlook token refresh failed:', error.message);
+        }
+      }
+
+      return launchPkceFlow(oauthConfig, { interactive, loginHint: account.email });
+    },
+
+    /**
+     * List inbox messages received since the last sync and not yet processed
+     * Senders are filtered per message; labels and categories are Gmail-only
+     * @returns {Promise<Object>} { messages (newest first), cursor, query }
+     */
+    async listNewMessages(token, { maxResults = 5, accountId, settings = {} } = {}) {
+      const syncState = await getSyncState(accountId);
+      const processed = new Set(await getProcessedIds(`${SYNC_KEY}:${accountId}`));
+      const lookbackMs = (settings.lookbackMinutes || DEFAULT_LOOKBACK_MINUTES) * 60 * 1000;
+      const since = syncState.since || new Date(Date.now() - lookbackMs).toISOString();
+
+      // Without the processed cache (new session or wipe) the message at the
+      // cursor would be scanned again - start strictly after it
+      const operator = syncState.since && processed.size === 0 ? 'gt' : 'ge';
+      const filter = `receivedDateTime ${operator} ${since}`;
+
+      const query = buildQuery({
+        $select: 'id,receivedDateTime',
+        $filter: filter,
+        $orderby: 'receivedDateTime desc',
+        $top: maxResults
+      });
+      const data = await fetchGraph(token, `/me/mailFolders/inbox/messages?${query}`);
+      const messages = data.value || [];
+
+      // Newest receive time becomes the next cursor; "ge" re-lists it, the
+      // processed cache filters it out
+      const cursor = messages[0]?.receivedDateTime || since;
+
+      return {
+        messages: messages.filter(m => !processed.has(m.id)).map(m => ({ id: m.id })),
+        cursor,
+        query: `$filter=${filter}`
+      };
+    },
+
+    async commitSync(cursor, messageIds = [], accountId) {
+      const syncState = await getSyncState(accountId);
+
+      await setSyncState(accountId, { since: cursor || syncState.since });
+      await addProcessedIds(`${SYNC_KEY}:${accountId}`, messageIds);
+    },
+
+    async resetSync(accountId) {
+      await clearProcessedIds(`${SYNC_KEY}:${accountId}`);
+      return new Promise((resolve) => {
+        chrome.storage.local.remove(`${SYNC_KEY}:${accountId}`, resolve);
+      });
+    },
+
+    /**
+     * Fetch a message and normalize it for extraction
+     * @returns {Promise<Object>} { id, subject, sender, body, html, language, authentication, receivedAt }
+     */
+    async getMessage(token, messageId) {
+      const query = buildQuery({
+        $select: 'id,subject,from,body,receivedDateTime,internetMessageHeaders'
+      });
+      const message = await fetchGraph(token, `/me/messages/${encodeURIComponent(messageId)}?${query}`);
+
+      const isHtml = message.body?.contentType === 'html';
+      const content = message.body?.content || '';
+      const headers = message.internetMessageHeaders || [];
+      const sender = formatSender(message.from);
+      const languageHeader = headers.find(h => h.name.toLowerCase() === 'content-language');
+
+      return {
+        id: message.id || messageId,
+        subject: message.subject || '',
+        sender,
+        body: isHtml ? htmlToText(content) : content,
+        html: isHtml ? content : '',
+        language: languageHeader?.value || '',
+        authentication: getAuthenticationVerdict(headers, sender),
+        receivedAt: Date.parse(message.receivedDateTime) || Date.now()
+      };
+    }
+  };
+}
+
+export const outlookProvider = createOutlookProvider();
@@ -0,0 +1,133 @@
+/**
+ * Quote Stripper
+ * Removes quoted replies, forwarded messages and footers from an
+ * email body so old codes and order/phone numbers never reach the tiers
+ * Built by Avenix (https://avenix.dev)
+ */
+
+import { getLanguagePacks } from './languages/index.js';
+
+// Language-neutral markers; localized ones come from the language packs
+const SIGNATURE_DELIMITER = /^-- ?$/;
+const QUOTED_LINE = /^\s*>/;
+
+// Outlook/Exchange reply header: "From: ..." followed by "Sent:"/"Date:" and "Subject:"
+const HEADER_FROM = /^\*?From:\*?\s/i;
+const HEADER_DATE = /^\*?(?:Sent|Date):\*?\s/i;
+const HEADER_SUBJECT = /^\*?Subject:\*?\s/i;
+const HEADER_BLOCK_LINES = 5;
+
+// Attributions wrap onto a second line in narrow mail clients
+const MAX_ATTRIBUTION_LINES = 2;
+
+/**
+ * Check if a line starts an Outlook-style reply header block
+ */
+function isHeaderBlock(lines, index) {
+  if (!HEADER_FROM.test(lines[index])) return false;
+
+  const block = lines.slice(index + 1, index + HEADER_BLOCK_LINES);
+  return block.some(line => HEADER_DATE.test(line)) && block.some(line => HEADER_SUBJECT.test(line));
+}
+
+/**
+ * Find the first line where quoted or forwarded content begins
+ * @param {Array<string>} lines - Body lines
+ * @param {Object} patterns - { quote, forward } RegExp lists
+ * @returns {Object|null} { index, type }
+ */
+function findQuoteStart(lines, patterns) {
+  for (let i = 0; i < lines.length; i++) {
+    if (patterns.forward.some(p => p.test(lines[i].trim())) || isHeaderBlock(lines, i)) {
+      return { index: i, type: 'forward' };
+    }
+
+    for (let span = 1; span <= MAX_ATTRIBUTION_LINES && i + span <= lines.length; span++) {
+      const text = lines.slice(i, i + span).join(' ').trim();
+      if (patterns.quote.some(p => p.test(text))) {
+        return { index: i, type: 'quote' };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find where the footer starts
+ * Only the second half of the message is searched, so a code line
+ * that mentions "unsubscribe" or "©" is never dropped
+ * @returns {Object|null} { index, type }
+ */
+function findFooterStart(lines, footerPatterns) {
+  const contentLines = lines.map((line, index) => ({ line: line.trim(), index })).filter(l => l.line);
+  if (contentLines.length < 2) return null;
+
+  const signature = contentLines.slice(1).find(({ index }) => SIGNATURE_DELIMITER.test(lines[index]));
+  if (signature) {
+    return { index: signature.index, type: 'signature' };
+  }
+
+  for (const { line, index } of contentLines.slice(Math.ceil(contentLines.length / 2))) {
+    if (footerPatterns.some(p => p.test(line))) {
+      return { index, type: 'footer' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Strip quoted replies, forwarded messages, signatures and footers
+ * @param {string} text - Email body (plain text, lines intact)
+ * @param {Object} options - { language } preferred language tag
+ * @returns {Object} { text, stripped: [{ type, text }] }
+ *   type: 'quote' | 'forward' | 'signature' | 'footer'
+ */
+export function stripQuotedContent(text, { language } = {}) {
+  if (!text || typeof text !== 'string') {
+    return { text: text || '', stripped: [] };
+  }
+
+  const packs = getLanguagePacks(language);
+  const patterns = {
+    quote: packs.flatMap(pack => pack.quotePatterns || []),
+    forward: packs.flatMap(pack => pack.forwardPatterns || []),
+    footer: packs.flatMap(pack => pack.footerPatterns || [])
+  };
+
+  let lines = text.split(/\r?\n/);
+  const stripped = [];
+
+  const cut = (marker) => {
+    if (!marker) return;
+    stripped.push({ type: marker.type, text: lines.slice(marker.index).join('\n').trim() });
+    lines = lines.slice(0, marker.index);
+  };
+
+  // Everything after a reply attribution or forward header is old mail
+  cut(findQuoteStart(lines, patterns));
+
+  // "> " quoted lines left inline (interleaved replies)
+  const kept = [];
+  let quoted = [];
+  for (const line of lines) {
+    if (QUOTED_LINE.test(line)) {
+      quoted.push(line);
+      continue;
+    }
+    if (quoted.length > 0) {
+      stripped.push({ type: 'quote', text: quoted.join('\n') });
+      quoted = [];
+    }
+    kept.push(line);
+  }
+  if (quoted.length > 0) {
+    stripped.push({ type: 'quote', text: quoted.join('\n') });
+  }
+  lines = kept;
+
+  cut(findFooterStart(lines, patterns.footer));
+
+  return { text: lines.join('\n').trim(), stripped };
+}
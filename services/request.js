@@ -0,0 +1,208 @@
+/**
+ * Request Layer
+ * Authenticated JSON requests with timeouts, retries and error categories
+ * Built by Avenix (https://avenix.dev)
+ */
+
+/**
+ * Error categories attached to request errors as error.category
+ */
+export const ERROR_CATEGORIES = {
+  AUTH: 'auth',                 // Token refused (message is 'TOKEN_EXPIRED')
+  RATE_LIMITED: 'rate_limited', // Too many requests - retry after a delay
+  QUOTA: 'quota',               // Daily/project quota used up
+  SERVER: 'server',             // 5xx from the API
+  OFFLINE: 'offline',           // Browser reports no connection
+  NETWORK: 'network',           // Connection dropped or refused
+  TIMEOUT: 'timeout',           // No response within the timeout
+  NOT_FOUND: 'not_found',       // 404
+  CLIENT: 'client'              // Any other 4xx
+};
+
+// Categories worth retrying later
+const RETRYABLE = new Set([
+  ERROR_CATEGORIES.RATE_LIMITED,
+  ERROR_CATEGORIES.QUOTA,
+  ERROR_CATEGORIES.SERVER,
+  ERROR_CATEGORIES.OFFLINE,
+  ERROR_CATEGORIES.NETWORK,
+  ERROR_CATEGORIES.TIMEOUT
+]);
+
+// 403 reasons that mean "slow down" rather than "forbidden"
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const QUOTA_REASONS = ['dailyLimitExceeded', 'quotaExceeded'];
+
+const DEFAULT_OPTIONS = {
+  service: 'API',
+  timeoutMs: 15 * 1000,
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  // Longer waits are left to the caller (a service worker may not live that long)
+  maxInlineWaitMs: 10 * 1000
+};
+
+// Wait suggested when the API gives no Retry-After
+const DEFAULT_RETRY_AFTER_MS = {
+  [ERROR_CATEGORIES.QUOTA]: 60 * 60 * 1000,
+  [ERROR_CATEGORIES.OFFLINE]: 30 * 1000
+};
+
+/**
+ * Create a categorized request error
+ * @param {string} message - Error message
+ * @param {Object} fields - { category, status, retryAfterMs }
+ * @returns {Error}
+ */
+export function createRequestError(message, { category, status, retryAfterMs } = {}) {
+  return Object.assign(new Error(message), {
+    category,
+    status,
+    retryable: RETRYABLE.has(category),
+    retryAfterMs: retryAfterMs ?? DEFAULT_RETRY_AFTER_MS[category] ?? null
+  });
+}
+
+/**
+ * Check if an error is worth retrying later
+ */
+export function isRetryableError(error) {
+  return !!error?.retryable;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry number
+ */
+function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Read error reasons from a Google-style error body
+ * { error: { errors: [{ reason }], status } }
+ */
+async function getErrorReasons(response) {
+  try {
+    const data = await response.json();
+    const reasons = (data.error?.errors || []).map(e => e.reason);
+    if (data.error?.status) reasons.push(data.error.status);
+    if (typeof data.error?.code === 'string') reasons.push(data.error.code);
+    return reasons;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Turn a non-OK response into a categorized error
+ */
+async function toResponseError(response, service) {
+  const status = response.status;
+  const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+
+  if (status === 401) {
+    return createRequestError('TOKEN_EXPIRED', { category: ERROR_CATEGORIES.AUTH, status });
+  }
+
+  let category = ERROR_CATEGORIES.CLIENT;
+  if (status === 429) {
+    category = ERROR_CATEGORIES.RATE_LIMITED;
+  } else if (status >= 500) {
+    category = ERROR_CATEGORIES.SERVER;
+  } else if (status === 404) {
+    category = ERROR_CATEGORIES.NOT_FOUND;
+  } else if (status === 403) {
+    const reasons = await getErrorReasons(response);
+    if (reasons.some(r => RATE_LIMIT_REASONS.includes(r))) {
+      category = ERROR_CATEGORIES.RATE_LIMITED;
+    } else if (reasons.some(r => QUOTA_REASONS.includes(r))) {
+      category = ERROR_CATEGORIES.QUOTA;
+    }
+  }
+
+  return createRequestError(`${service} error: ${status}`, { category, status, retryAfterMs });
+}
+
+/**
+ * Perform one request with a timeout
+ */
+async function attemptRequest(url, init, { service, timeoutMs }) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    throw createRequestError('Offline', { category: ERROR_CATEGORIES.OFFLINE });
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw createRequestError(`${service} timed out`, { category: ERROR_CATEGORIES.TIMEOUT });
+    }
+    throw createRequestError(`${service} unreachable`, { category: ERROR_CATEGORIES.NETWORK });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    throw await toResponseError(response, service);
+  }
+
+  return response.json();
+}
+
+/**
+ * Perform an authenticated JSON GET, retrying transient failures
+ * Short waits are retried in place; longer ones are thrown with
+ * error.retryAfterMs so the caller can schedule the retry
+ * @param {string} token - OAuth access token
+ * @param {string} url - Full request URL
+ * @param {Object} options - { service, timeoutMs, maxRetries, baseDelayMs, maxDelayMs, maxInlineWaitMs }
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function requestJson(token, url, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const init = {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptRequest(url, init, config);
+    } catch (error) {
+      if (!error.retryable) throw error;
+
+      const delay = error.retryAfterMs ?? getBackoffDelay(attempt, config);
+      if (attempt >= config.maxRetries || delay > config.maxInlineWaitMs) {
+        error.retryAfterMs = error.retryAfterMs ?? Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt + 1));
+        throw error;
+      }
+
+      console.warn(`[Avenix OTP] ${error.message}, retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
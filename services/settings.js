@@ -0,0 +1,161 @@
+/**
+ * Settings
+ * User-editable mail search and notification settings
+ * Built by Avenix (https://avenix.dev)
+ */
+
+const SETTINGS_KEY = 'avenix_settings';
+
+// Gmail inbox categories that can be excluded from scanning
+export const MAIL_CATEGORIES = ['promotions', 'social', 'updates', 'forums'];
+
+export const DEFAULT_SETTINGS = {
+  lookbackMinutes: 10,      // How far back the first (or fallback) scan looks
+  maxMessages: 5,           // Messages scanned per account and check
+  includeSenders: [],       // Only scan these senders (addresses or domains); empty = all
+  excludeSenders: [],       // Never scan these senders
+  labels: [],               // Gmail: only scan messages with one of these labels
+  excludeCategories: [],    // Gmail: skip these inbox categories (e.g. 'promotions')
+  siteMappings: [],         // [{ sender, site }] - extra sender domains allowed to fill a site
+  keepHistory: true,        // Log found codes and fill attempts (see history.js)
+  mutedSenders: [],         // Never raise a notification for these senders
+  hideNotificationCode: false // Leave the digits out of code notifications
+};
+
+const LIMITS = {
+  lookbackMinutes: [1, 24 * 60],
+  maxMessages: [1, 50]
+};
+
+/**
+ * Clamp a numeric setting to its allowed range
+ */
+function clampNumber(value, [min, max], fallback) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Normalize a list setting (array or comma/newline separated string)
+ */
+function normalizeList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Normalize sender-to-site mappings
+ * Accepts [{ sender, site }] or "mail.example.com = example.com" lines
+ */
+function normalizeMappings(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  const mappings = items
+    .map(item => (typeof item === 'string' ? item.split(/\s*(?:=>?|->)\s*/) : [item?.sender, item?.site]))
+    .map(([sender, site]) => ({
+      sender: String(sender || '').trim().toLowerCase(),
+      site: String(site || '').trim().toLowerCase()
+    }))
+    .filter(mapping => mapping.sender && mapping.site);
+
+  return mappings.filter((mapping, index) =>
+    mappings.findIndex(m => m.sender === mapping.sender && m.site === mapping.site) === index
+  );
+}
+
+/**
+ * Validate and normalize settings, falling back to defaults
+ * @param {Object} settings - Raw settings
+ * @returns {Object} Normalized settings
+ */
+export function normalizeSettings(settings = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+
+  return {
+    lookbackMinutes: clampNumber(merged.lookbackMinutes, LIMITS.lookbackMinutes, DEFAULT_SETTINGS.lookbackMinutes),
+    maxMessages: clampNumber(merged.maxMessages, LIMITS.maxMessages, DEFAULT_SETTINGS.maxMessages),
+    includeSenders: normalizeList(merged.includeSenders),
+    excludeSenders: normalizeList(merged.excludeSenders),
+    labels: normalizeList(merged.labels),
+    excludeCategories: normalizeList(merged.excludeCategories).filter(c => MAIL_CATEGORIES.includes(c)),
+    siteMappings: normalizeMappings(merged.siteMappings),
+    keepHistory: merged.keepHistory !== false,
+    mutedSenders: normalizeList(merged.mutedSenders),
+    hideNotificationCode: merged.hideNotificationCode === true
+  };
+}
+
+/**
+ * Get stored settings
+ * @returns {Promise<Object>} Normalized settings
+ */
+export async function getSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(SETTINGS_KEY, (result) => {
+      resolve(normalizeSettings(result[SETTINGS_KEY]));
+    });
+  });
+}
+
+/**
+ * Update stored settings
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} Normalized settings after the update
+ */
+export async function updateSettings(updates) {
+  const settings = normalizeSettings({ ...(await getSettings()), ...updates });
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [SETTINGS_KEY]: settings }, () => resolve(settings));
+  });
+}
+
+/**
+ * Extract the email address from a From header ("Name <a@b.com>")
+ */
+function getSenderAddress(sender) {
+  const match = String(sender || '').match(/<([^>]+)>/);
+  return (match ? match[1] : String(sender || '')).trim().toLowerCase();
+}
+
+/**
+ * Check if a sender matches a filter entry (full address or domain)
+ */
+function senderMatches(address, entry) {
+  if (entry.includes('@')) {
+    return address === entry;
+  }
+
+  const domain = address.split('@')[1] || '';
+  return domain === entry || domain.endsWith(`.${entry}`);
+}
+
+/**
+ * Check if notifications for a sender are muted
+ * @param {string} sender - From header value
+ * @param {Object} settings - Normalized settings
+ * @returns {boolean}
+ */
+export function isSenderMuted(sender, settings) {
+  const address = getSenderAddress(sender);
+  return settings.mutedSenders.some(entry => senderMatches(address, entry));
+}
+
+/**
+ * Check a sender against the include/exclude lists
+ * @param {string} sender - From header value
+ * @param {Object} settings - Normalized settings
+ * @returns {boolean} True if the message should be scanned
+ */
+export function matchesSenderFilters(sender, settings) {
+  const address = getSenderAddress(sender);
+
+  if (settings.excludeSenders.some(entry => senderMatches(address, entry))) {
+    return false;
+  }
+
+  if (settings.includeSenders.length > 0) {
+    return settings.includeSenders.some(entry => senderMatches(address, entry));
+  }
+
+  return true;
+}
@@ -0,0 +1,117 @@
+/**
+ * Site Matcher
+ * Matches the domain a code was emailed from against the site it is filled into
+ * Built by Avenix (https://avenix.dev)
+ */
+
+/**
+ * Second-level public suffixes under which registrations happen one level down
+ * (a short list rather than the full Public Suffix List)
+ */
+const MULTI_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au', 'co.nz', 'org.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'or.kr',
+  'com.br', 'com.mx', 'com.ar', 'com.co', 'com.tr',
+  'com.cn', 'com.hk', 'com.tw', 'com.sg', 'com.my',
+  'co.in', 'co.id', 'co.il', 'co.za', 'com.ua'
+]);
+
+/**
+ * Registrable domains of services that send codes from one domain
+ * and sign in on another
+ * Never list a domain where third parties can host pages (amazonaws.com,
+ * atlassian.net, ...) - a code would autofill on anyone's site there
+ */
+const BUILT_IN_ALIASES = [
+  ['google.com', 'youtube.com', 'gmail.com'],
+  ['microsoft.com', 'microsoftonline.com', 'live.com', 'outlook.com', 'azure.com', 'xbox.com'],
+  ['apple.com', 'icloud.com'],
+  ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.es', 'amazon.it', 'amazon.co.jp', 'amazon.ca'],
+  ['facebook.com', 'facebookmail.com', 'instagram.com', 'meta.com', 'whatsapp.com'],
+  ['twitter.com', 'x.com'],
+  ['github.com', 'githubapp.com'],
+  ['atlassian.com', 'bitbucket.org', 'trello.com'],
+  ['slack.com', 'slackhq.com'],
+  ['discord.com', 'discordapp.com'],
+  ['steampowered.com', 'steamcommunity.com'],
+  ['dropbox.com', 'dropboxmail.com'],
+  ['paypal.com', 'paypal.co.uk', 'paypal.de']
+];
+
+/**
+ * Pages where anyone can publish forms or sites on the service's own domain
+ * Never matched, not even against the service's own codes - the registrable
+ * domain cannot tell them apart from its sign-in pages
+ * { host, path? } path: pathname pattern (Workspace URLs carry /a/<domain>/)
+ */
+const USER_CONTENT_PAGES = [
+  { host: 'forms.office.com' },
+  { host: 'forms.microsoft.com' },
+  { host: 'sites.google.com' },
+  { host: 'docs.google.com', path: /^\/(?:a\/[^/]+\/)?forms(?:\/|$)/ }
+];
+
+/**
+ * Get the registrable domain of a host name ("accounts.google.com" -> "google.com")
+ * @param {string} hostname - Host name
+ * @returns {string} Registrable domain (IP addresses and single labels as given)
+ */
+export function getRegistrableDomain(hostname) {
+  const host = String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!host || /^[\d.]+$/.test(host) || host.includes(':')) {
+    return host;
+  }
+
+  const labels = host.split('.');
+  const size = MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+/**
+ * Get the registrable domain of a From header ("GitHub <noreply@github.com>")
+ * @param {string} sender - From header value
+ * @returns {string|null} Domain, or null when no address is present
+ */
+export function getSenderDomain(sender) {
+  const match = String(sender || '').match(/<([^>]+)>/);
+  const address = (match ? match[1] : String(sender || '')).trim();
+  const domain = address.split('@')[1];
+  return domain ? getRegistrableDomain(domain) : null;
+}
+
+/**
+ * Check if a page hosts third-party content (see USER_CONTENT_PAGES)
+ * @param {string} hostname - Host name of the page
+ * @param {string} pathname - Path of the page
+ * @returns {boolean}
+ */
+function isUserContentPage(hostname, pathname = '/') {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return USER_CONTENT_PAGES.some(page => page.host === host && (!page.path || page.path.test(pathname || '/')));
+}
+
+/**
+ * Check if a code from a sender domain belongs on a site
+ * @param {string} senderDomain - Registrable domain the code was emailed from
+ * @param {string} hostname - Host name of the page
+ * @param {Array<Object>} mappings - User mappings [{ sender, site }] (see settings.js)
+ * @param {string} pathname - Path of the page
+ * @returns {boolean}
+ */
+export function matchesSite(senderDomain, hostname, mappings = [], pathname = '/') {
+  if (!senderDomain || !hostname) return false;
+  if (isUserContentPage(hostname, pathname)) return false;
+
+  const sender = getRegistrableDomain(senderDomain);
+  const site = getRegistrableDomain(hostname);
+  if (sender === site) return true;
+
+  if (BUILT_IN_ALIASES.some(group => group.includes(sender) && group.includes(site))) {
+    return true;
+  }
+
+  return mappings.some(mapping =>
+    getRegistrableDomain(mapping.sender) === sender && getRegistrableDomain(mapping.site) === site
+  );
+}
@@ -144,94 +144,100 @@ function isValidAlphanumeric(code) {
 }
 
 /**
- * Validate if a code is likely a legitimate OTP
- * @param {string} code - Code to validate
- * @returns {boolean} True if valid OTP
+ * Check if the whole code is one ascending or descending run (e.g. 123456)
+ * @param {string} code - Code to check
+ * @returns {boolean} True if fully sequential
  */
-export function isValidOTP(code) {
-  if (!code || typeof code !== 'string') {
-    return false;
-  }
+function isFullySequential(code) {
+  if (!/^\d{4,}$/.test(code)) return false;
 
-  // Clean the code (remove any remaining spaces/dashes)
-  const cleaned = code.replace(/[-\s]/g, '').toUpperCase();
+  const step = code.charCodeAt(1) - code.charCodeAt(0);
+  if (step !== 1 && step !== -1) return false;
 
-  // Length check: 4-8 characters
-  if (cleaned.length < 4 || cleaned.length > 8) {
-    return false;
+  for (let i = 2; i < code.length; i++) {
+    if (code.charCodeAt(i) - code.charCodeAt(i - 1) !== step) return false;
   }
 
-  // Must be alphanumeric only
-  if (!/^[A-Z0-9]+$/.test(cleaned)) {
-    return false;
-  }
-
-  // Reject all zeros
-  if (isAllZeros(cleaned)) {
-    return false;
-  }
-
-  // Reject sequential patterns
-  if (isSequential(cleaned)) {
-    return false;
-  }
-
-  // Reject repetitive patterns
-  if (isRepetitive(cleaned)) {
-    return false;
-  }
+  return true;
+}
 
-  // Reject date-like patterns (only for numeric codes)
-  if (/^\d+$/.test(cleaned) && isDatePattern(cleaned)) {
-    return false;
-  }
+/**
+ * Validation rules in evaluation order
+ * Hard rules always apply. Heuristic rules (hard: false) only apply to
+ * codes that were not explicitly labelled, since a real code such as
+ * 812345 or 120623 is only suspicious when nothing says it is a code.
+ */
+const VALIDATION_RULES = [
+  { id: 'too-short', reason: 'Too short (min 4 chars)', hard: true, test: (c) => c.length < 4 },
+  { id: 'too-long', reason: 'Too long (max 8 chars)', hard: true, test: (c) => c.length > 8 },
+  { id: 'not-alphanumeric', reason: 'Not alphanumeric', hard: true, test: (c) => !/^[A-Z0-9]+$/.test(c) },
+  { id: 'all-zeros', reason: 'All zeros', hard: true, test: isAllZeros },
+  { id: 'fully-sequential', reason: 'Fully sequential', hard: true, test: isFullySequential },
+  { id: 'sequential', reason: 'Sequential pattern', hard: false, test: isSequential },
+  { id: 'repetitive', reason: 'Repetitive pattern', hard: true, test: isRepetitive },
+  { id: 'date', reason: 'Date pattern', hard: false, test: (c) => /^\d+$/.test(c) && isDatePattern(c) },
+  { id: 'year', reason: 'Year pattern', hard: false, test: (c) => /^\d+$/.test(c) && isYearPattern(c) },
+  {
+    id: 'alphanumeric-mix',
+    reason: 'Invalid alphanumeric mix',
+    hard: true,
+    test: (c, options) => !options.allowLettersOnly && !isValidAlphanumeric(c)
+  },
+  { id: 'css-value', reason: 'CSS value', hard: true, test: isCSSValue },
+  { id: 'color-code', reason: 'Likely color code', hard: false, test: isLikelyColorCode }
+];
 
-  // Reject year patterns
-  if (/^\d+$/.test(cleaned) && isYearPattern(cleaned)) {
-    return false;
-  }
+/**
+ * Check if a code was explicitly labelled ("Your code is ...")
+ * Uses the extraction tier when known (tiers 1-2), else the confidence
+ * @param {Object} options - { tier, confidence }
+ * @returns {boolean}
+ */
+function isLabelled({ tier, confidence } = {}) {
+  if (tier) return tier <= 2;
+  return confidence === 'high';
+}
 
-  // Validate alphanumeric mix
-  if (!isValidAlphanumeric(cleaned)) {
-    return false;
+/**
+ * Find the first validation rule a code fails
+ * @param {string} code - Code to check
+ * @param {Object} options - { tier, confidence, allowLettersOnly }
+ * @returns {Object|null} Failing rule or null if valid
+ */
+function findFailedRule(code, options = {}) {
+  if (!code || typeof code !== 'string') {
+    return { id: 'invalid-input', reason: 'Invalid input', hard: true };
   }
 
-  // Reject CSS values (e.g., 40px, 12em)
-  if (isCSSValue(cleaned)) {
-    return false;
-  }
+  // Clean the code (remove any remaining spaces/dashes)
+  const cleaned = code.replace(/[-\s]/g, '').toUpperCase();
+  const labelled = isLabelled(options);
 
-  // Reject likely color codes (e.g., 393939, FFFFFF)
-  if (isLikelyColorCode(cleaned)) {
-    return false;
-  }
+  return VALIDATION_RULES.find(
+    rule => (rule.hard || !labelled) && rule.test(cleaned, options)
+  ) || null;
+}
 
-  return true;
+/**
+ * Validate if a code is likely a legitimate OTP
+ * @param {string} code - Code to validate
+ * @param {Object} options - Extraction context
+ * @param {number} options.tier - Extraction tier (1-2 = explicitly labelled)
+ * @param {string} options.confidence - Extraction confidence, used without tier
+ * @param {boolean} options.allowLettersOnly - Accept labelled codes like "ABC-DEF"
+ * @returns {boolean} True if valid OTP
+ */
+export function isValidOTP(code, options = {}) {
+  return !findFailedRule(code, options);
 }
 
 /**
  * Get validation failure reason (for debugging)
  * @param {string} code - Code to check
- * @returns {string|null} Failure reason or null if valid
+ * @param {Object} options - Same extraction context as isValidOTP
+ * @returns {Object|null} { rule, reason, hard } or null if valid
  */
-export function getValidationFailureReason(code) {
-  if (!code || typeof code !== 'string') {
-    return 'Invalid input';
-  }
-
-  const cleaned = code.replace(/[-\s]/g, '').toUpperCase();
-
-  if (cleaned.length < 4) return 'Too short (min 4 chars)';
-  if (cleaned.length > 8) return 'Too long (max 8 chars)';
-  if (!/^[A-Z0-9]+$/.test(cleaned)) return 'Not alphanumeric';
-  if (isAllZeros(cleaned)) return 'All zeros';
-  if (isSequential(cleaned)) return 'Sequential pattern';
-  if (isRepetitive(cleaned)) return 'Repetitive pattern';
-  if (/^\d+$/.test(cleaned) && isDatePattern(cleaned)) return 'Date pattern';
-  if (/^\d+$/.test(cleaned) && isYearPattern(cleaned)) return 'Year pattern';
-  if (!isValidAlphanumeric(cleaned)) return 'Invalid alphanumeric mix';
-  if (isCSSValue(cleaned)) return 'CSS value';
-  if (isLikelyColorCode(cleaned)) return 'Likely color code';
-
-  return null;
+export function getValidationFailureReason(code, options = {}) {
+  const rule = findFailedRule(code, options);
+  return rule ? { rule: rule.id, reason: rule.reason, hard: rule.hard } : null;
 }